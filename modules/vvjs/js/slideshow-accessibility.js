@@ -20,6 +20,18 @@
 
       // Configuration - read from data attributes, default to true if not specified
       this.keyboardEnabled = container.dataset.enableKeyboard !== 'false';
+      this.keyboardPrimary = container.dataset.keyboardPrimary === 'true';
+
+      // Arrow keys follow the orientation
+      this.nextKey = slideshowCore.isVertical ? 'ArrowDown' : 'ArrowRight';
+      this.prevKey = slideshowCore.isVertical ? 'ArrowUp' : 'ArrowLeft';
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+      this.announceTimeoutId = null;
+
+      // Aborted to remove the keyboard listeners when their options change
+      this.keyboardController = null;
 
       this.init();
     }
@@ -30,78 +42,174 @@
       }
       this.applyReducedMotion();
       this.setupScreenReaderSupport();
+      this.updateAriaAttributes(this.core.isAutoSliding);
+
+      const { signal } = this.abortController;
 
       // Listen for slide changes to update announcements
       this.container.addEventListener('vvjs:slideChanged', (e) => {
-        this.announceSlide(e.detail.slideIndex, e.detail.totalSlides);
-      });
+        this.announceSlide(e.detail.slideIndex, e.detail.totalSlides, e.detail.slidesPerView);
+      }, { signal });
+
+      // Stay quiet while slides advance on their own
+      this.container.addEventListener('vvjs:autoSlideStarted', () => {
+        this.updateAriaAttributes(true);
+      }, { signal });
+      this.container.addEventListener('vvjs:autoSlideStopped', () => {
+        this.updateAriaAttributes(false);
+      }, { signal });
+
+      // Keyboard options changed at runtime through VVJSSlideshow.updateConfig()
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        const { keyboardEnabled, keyboardPrimary } = e.detail.config;
+        if (keyboardEnabled === undefined && keyboardPrimary === undefined) {
+          return;
+        }
+
+        if (keyboardEnabled !== undefined) {
+          this.keyboardEnabled = Boolean(keyboardEnabled);
+        }
+        if (keyboardPrimary !== undefined) {
+          this.keyboardPrimary = Boolean(keyboardPrimary);
+          // isPrimaryTarget() looks the primary slideshow up by this attribute
+          this.container.dataset.keyboardPrimary = String(this.keyboardPrimary);
+        }
+
+        this.keyboardController?.abort();
+        if (this.keyboardEnabled) {
+          this.setupKeyboardNavigation();
+        }
+      }, { signal });
     }
 
     /**
      * Set up keyboard navigation for the slideshow.
+     *
+     * Keys only reach the slideshow that has focus, so slideshows on the
+     * same page never react together; its arrow keys follow the orientation
+     * (Up/Down for vertical slideshows). A primary slideshow also receives
+     * the Left/Right arrow keys, in any orientation, while nothing on the
+     * page has focus.
      */
     setupKeyboardNavigation() {
-      document.addEventListener('keydown', (e) => {
-        // Skip handling if focused element is an input, textarea, or contenteditable
-        if (e.target.closest('input, textarea, [contenteditable="true"]')) {
-          return;
-        }
+      this.keyboardController = new AbortController();
+      const { signal } = this.keyboardController;
+
+      this.container.addEventListener('keydown', (e) => {
+        this.handleKeydown(e);
+      }, { signal });
+
+      if (this.keyboardPrimary) {
+        document.addEventListener('keydown', (e) => {
+          if (this.isPrimaryTarget(e)) {
+            this.handleGlobalKeydown(e);
+          }
+        }, { signal });
+      }
+    }
 
-        // Only handle keyboard navigation if the slideshow is in focus or visible
-        if (!this.isSlideshowFocused()) {
-          return;
-        }
+    /**
+     * Handle a key pressed while the slideshow has focus.
+     *
+     * @param {KeyboardEvent} e
+     *   The keydown event.
+     */
+    handleKeydown(e) {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+        return;
+      }
 
-        switch (e.key) {
-          case 'ArrowRight':
-            e.preventDefault();
-            this.core.nextSlide();
-            this.core.startAutoSlide();
-            break;
-
-          case 'ArrowLeft':
-            e.preventDefault();
-            this.core.prevSlide();
-            this.core.startAutoSlide();
-            break;
-
-          case ' ':
-          case 'Spacebar':
-            e.preventDefault();
-            this.core.togglePause();
-            break;
-
-          case 'Home':
-            e.preventDefault();
-            this.core.goToSlide(1);
-            this.core.startAutoSlide();
-            break;
-
-          case 'End':
-            e.preventDefault();
-            this.core.goToSlide(this.core.totalSlides);
-            this.core.startAutoSlide();
-            break;
+      // Skip handling if focused element is an input, textarea, or contenteditable
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) {
+        return;
+      }
+
+      switch (e.key) {
+        case this.nextKey:
+          e.preventDefault();
+          this.core.nextSlide();
+          this.core.handleUserNavigation();
+          break;
+
+        case this.prevKey:
+          e.preventDefault();
+          this.core.prevSlide();
+          this.core.handleUserNavigation();
+          break;
+
+        case ' ':
+        case 'Spacebar':
+          // Buttons and links use Space themselves
+          if (e.target.closest('a, button, summary, [role="button"], [role="tab"]')) {
+            return;
+          }
+          e.preventDefault();
+          this.core.togglePause();
+          break;
+
+        case 'Home':
+          e.preventDefault();
+          this.core.goToSlide(1);
+          this.core.handleUserNavigation();
+          break;
+
+        case 'End':
+          e.preventDefault();
+          this.core.goToSlide(this.core.totalSlides);
+          this.core.handleUserNavigation();
+          break;
+      }
+    }
+
+    /**
+     * Handle a key pressed while nothing on the page has focus.
+     *
+     * Only the Left/Right arrow keys are used, whatever the orientation, so
+     * Space, Home/End and Up/Down keep scrolling the page.
+     *
+     * @param {KeyboardEvent} e
+     *   The keydown event.
+     */
+    handleGlobalKeydown(e) {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+        return;
+      }
+
+      if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        if (e.key === 'ArrowRight') {
+          this.core.nextSlide();
+        }
+        else {
+          this.core.prevSlide();
         }
-      });
+        this.core.handleUserNavigation();
+      }
     }
 
     /**
-     * Check if slideshow is currently focused or should receive keyboard input.
+     * Check if a key pressed outside any slideshow belongs to this one.
+     *
+     * Applies when nothing on the page has focus, this is the first primary
+     * slideshow on the page and it is at least partly in the viewport.
+     *
+     * @param {KeyboardEvent} e
+     *   The keydown event.
+     *
+     * @return {boolean}
+     *   TRUE if this slideshow should handle the key.
      */
-    isSlideshowFocused() {
-      const activeElement = document.activeElement;
+    isPrimaryTarget(e) {
+      if (e.target !== document.body && e.target !== document.documentElement) {
+        return false;
+      }
 
-      // Check if any element within the slideshow has focus
-      if (this.container.contains(activeElement)) {
-        return true;
+      if (document.querySelector('.vvjs-inner[data-keyboard-primary="true"]') !== this.container) {
+        return false;
       }
 
-      // Check if slideshow is visible in viewport (simple check)
       const rect = this.container.getBoundingClientRect();
-      const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-
-      return isVisible;
+      return rect.top < window.innerHeight && rect.bottom > 0;
     }
 
     /**
@@ -120,11 +228,11 @@
         const playPauseButton = this.container.querySelector('.play-pause-button');
         if (playPauseButton) {
           playPauseButton.innerHTML = this.getPlayIcon();
-          playPauseButton.setAttribute('aria-label', 'Play slideshow');
+          playPauseButton.setAttribute('aria-label', Drupal.t('Play slideshow'));
         }
 
         // Announce to screen readers
-        this.announceMessage('Slideshow paused due to reduced motion preference');
+        this.announceMessage(Drupal.t('Slideshow paused due to reduced motion preference'));
       }
     }
 
@@ -155,10 +263,69 @@
     /**
      * Announce slide change to screen readers.
      */
-    announceSlide(slideIndex, totalSlides) {
-      if (this.announcer) {
-        this.announcer.textContent = `Slide ${slideIndex} of ${totalSlides}`;
+    announceSlide(slideIndex, totalSlides, slidesPerView = 1) {
+      if (!this.announcer) {
+        return;
       }
+
+      this.announcer.textContent = this.getAnnouncement(slideIndex, totalSlides, slidesPerView);
+    }
+
+    /**
+     * Get the text announced for a slide.
+     *
+     * Uses the view's announcement template from the slide's
+     * data-announcement attribute when there is one. Slide titles are
+     * included when the slides have them.
+     *
+     * @param {number} slideIndex
+     *   The first visible slide (1-based).
+     * @param {number} totalSlides
+     *   The number of slides.
+     * @param {number} slidesPerView
+     *   The number of visible slides.
+     *
+     * @return {string}
+     *   The announcement.
+     */
+    getAnnouncement(slideIndex, totalSlides, slidesPerView = 1) {
+      const lastVisible = Math.min(slideIndex + slidesPerView - 1, totalSlides);
+      const template = this.core.slides[slideIndex - 1]?.dataset.announcement;
+
+      // Titles of every visible slide
+      const titles = [];
+      for (let index = slideIndex; index <= lastVisible; index++) {
+        const title = this.core.getSlideTitle(index);
+        if (title) {
+          titles.push(title);
+        }
+      }
+      const title = titles.join(', ');
+
+      // The placeholders are filled by formatText() rather than by Drupal's
+      // formatters, which would HTML-escape the title
+      const args = {
+        '@index': slideIndex,
+        '@first': slideIndex,
+        '@last': lastVisible,
+        '@total': totalSlides,
+        '@title': title,
+      };
+
+      if (template) {
+        return this.core.formatText(template, args);
+      }
+
+      // Carousel mode announces the visible range
+      if (slidesPerView > 1) {
+        return this.core.formatText(title
+          ? Drupal.formatPlural(totalSlides, 'Slides @first–@last of 1: @title', 'Slides @first–@last of @count: @title')
+          : Drupal.formatPlural(totalSlides, 'Slides @first–@last of 1', 'Slides @first–@last of @count'), args);
+      }
+
+      return this.core.formatText(title
+        ? Drupal.formatPlural(totalSlides, 'Slide @index of 1: @title', 'Slide @index of @count: @title')
+        : Drupal.formatPlural(totalSlides, 'Slide @index of 1', 'Slide @index of @count'), args);
     }
 
     /**
@@ -171,19 +338,24 @@
         this.announcer.textContent = message;
 
         // Restore original text after a brief delay
-        setTimeout(() => {
+        clearTimeout(this.announceTimeoutId);
+        this.announceTimeoutId = setTimeout(() => {
           this.announcer.textContent = originalText;
+          this.announceTimeoutId = null;
         }, 1000);
       }
     }
 
     /**
      * Update ARIA attributes for slideshow state.
+     *
+     * Following the WAI-ARIA carousel pattern, slide changes are not
+     * announced while auto-advance is running; the announcer still holds
+     * the current slide for when it stops.
      */
     updateAriaAttributes(isPlaying) {
-      const region = this.container.querySelector('[role="region"]');
-      if (region) {
-        region.setAttribute('aria-live', isPlaying ? 'off' : 'polite');
+      if (this.announcer) {
+        this.announcer.setAttribute('aria-live', isPlaying ? 'off' : 'polite');
       }
     }
 
@@ -213,6 +385,16 @@
         });
       }
     }
+
+    /**
+     * Clean up accessibility features.
+     */
+    destroy() {
+      this.abortController.abort();
+      this.keyboardController?.abort();
+      clearTimeout(this.announceTimeoutId);
+      this.announceTimeoutId = null;
+    }
   }
 
   // Export to global namespace
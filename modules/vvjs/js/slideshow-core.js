@@ -22,20 +22,47 @@
       this.slideTime = parseInt(container.dataset.time, 10) || 5000;
       this.totalSlides = this.slides.length;
       this.loopingEnabled = container.dataset.enableLooping !== 'false';
+      this.isVertical = container.dataset.orientation === 'vertical';
+
+      // Carousel mode - several slides visible, moving in steps
+      this.isCarousel = container.dataset.carousel === 'true';
+      this.slidesPerView = 1;
+      this.slideBy = container.dataset.slideBy || 'slide';
+      this.slidesPerViewQueries = [];
 
       // State - use data-start-index if provided (1-indexed), default to 1
       const startIndex = parseInt(container.dataset.startIndex, 10) || 1;
       this.slideIndex = Math.max(1, Math.min(startIndex, this.totalSlides));
       this.currentSlideIndex = this.slideIndex; // Track for transition events
+      this.direction = 'next'; // Direction of travel for directional transitions
       this.isPaused = container.dataset.static === 'true';
+      this.stopOnInteraction = container.dataset.stopOnInteraction === 'true';
       this.isVisible = true;
-      this.autoSlideIntervalId = null;
+      this.autoSlideTimeoutId = null;
+      this.isAutoSliding = false;
+
+      // Slide clock - time spent on the current slide survives pauses
+      this.slideElapsed = 0;
+      this.slideClockStartedAt = null;
+
+      // Set while something other than the clock decides when to advance
+      this.slideHold = null;
+
+      // Set while auto-advance changes the slide, reported in slideChanging
+      this.isAdvancingAutomatically = false;
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
 
       // Initialize
       this.init();
     }
 
     init() {
+      if (this.isCarousel) {
+        this.setupSlidesPerView();
+      }
+
       this.updateSlideVisibility();
       this.adjustHeight();
 
@@ -46,7 +73,187 @@
       this.container.addEventListener('vvjs:transitionComplete', () => {
         this.updateAccessibilityAttributes();
         this.adjustHeight();
+      }, { signal: this.abortController.signal });
+
+      // Options changed at runtime through VVJSSlideshow.updateConfig()
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        this.applyConfig(e.detail.config);
+      }, { signal: this.abortController.signal });
+    }
+
+    /**
+     * Apply options changed at runtime.
+     *
+     * A new slideTime applies to the current slide right away, keeping the
+     * time already spent on it. A slideTime of 0 stops auto-advance.
+     *
+     * @param {Object} config
+     *   The changed options; slideTime, loopingEnabled, stopOnInteraction
+     *   and heroMinHeight (in vw) belong to the core.
+     */
+    applyConfig(config) {
+      const previousTime = this.slideTime;
+
+      if ('slideTime' in config) {
+        this.slideTime = Math.max(0, parseInt(config.slideTime, 10) || 0);
+      }
+      if ('loopingEnabled' in config) {
+        this.loopingEnabled = Boolean(config.loopingEnabled);
+      }
+      if ('stopOnInteraction' in config) {
+        this.stopOnInteraction = Boolean(config.stopOnInteraction);
+      }
+      if ('heroMinHeight' in config) {
+        // 40 is also the default of the hero CSS
+        this.slideshow.style.setProperty('--hero-min-height', parseFloat(config.heroMinHeight) || 40);
+        this.adjustHeight();
+      }
+
+      // Reschedule a running clock, or start one that had no slide time
+      if (this.slideTime !== previousTime && (this.isAutoSliding || previousTime <= 0)) {
+        this.startAutoSlide();
+      }
+    }
+
+    /**
+     * Set up the responsive slides-per-view count for carousel mode.
+     *
+     * Breakpoint counts come from data-slides-per-view-responsive as a JSON
+     * object keyed by minimum viewport width in pixels.
+     */
+    setupSlidesPerView() {
+      let responsive = {};
+      try {
+        responsive = JSON.parse(this.container.dataset.slidesPerViewResponsive || '{}');
+      }
+      catch (e) {
+        responsive = {};
+      }
+
+      this.slidesPerViewQueries = Object.keys(responsive)
+        .map((breakpoint) => parseInt(breakpoint, 10))
+        .filter((breakpoint) => breakpoint > 0 && parseInt(responsive[breakpoint], 10) > 0)
+        .sort((a, b) => a - b)
+        .map((breakpoint) => {
+          // Match the rem-based breakpoints used by the responsive CSS files
+          const query = window.matchMedia(`(min-width: ${breakpoint / 16}rem)`);
+          const handler = () => this.updateSlidesPerView();
+          query.addEventListener('change', handler);
+
+          return { query, handler, count: parseInt(responsive[breakpoint], 10) };
+        });
+
+      this.slidesPerView = this.getResponsiveSlidesPerView();
+      this.slideIndex = Math.min(this.slideIndex, this.getMaxIndex());
+      this.currentSlideIndex = this.slideIndex;
+    }
+
+    /**
+     * Get the slides-per-view count for the current viewport.
+     *
+     * @return {number}
+     *   Number of visible slides, between 1 and the total slide count.
+     */
+    getResponsiveSlidesPerView() {
+      let count = parseInt(this.container.dataset.slidesPerView, 10) || 1;
+
+      // Queries are sorted ascending, so the widest match wins
+      this.slidesPerViewQueries.forEach(({ query, count: breakpointCount }) => {
+        if (query.matches) {
+          count = breakpointCount;
+        }
       });
+
+      return Math.max(1, Math.min(count, this.totalSlides));
+    }
+
+    /**
+     * Re-apply the slides-per-view count after a breakpoint change.
+     */
+    updateSlidesPerView() {
+      const count = this.getResponsiveSlidesPerView();
+      if (count === this.slidesPerView) {
+        return;
+      }
+
+      this.slidesPerView = count;
+      this.slideIndex = Math.min(this.slideIndex, this.getMaxIndex());
+      this.currentSlideIndex = this.slideIndex;
+
+      this.container.dispatchEvent(new CustomEvent('vvjs:slidesPerViewChanged', {
+        detail: { slidesPerView: count, slideIndex: this.slideIndex },
+      }));
+
+      this.updateAccessibilityAttributes();
+      this.adjustHeight();
+    }
+
+    /**
+     * Get the highest slide index the slideshow can start its view at.
+     *
+     * @return {number}
+     *   The last slide in single-slide mode, or the first slide of the last
+     *   full view in carousel mode.
+     */
+    getMaxIndex() {
+      return Math.max(1, this.totalSlides - this.slidesPerView + 1);
+    }
+
+    /**
+     * Get how many slides next/previous move.
+     *
+     * @return {number}
+     *   1, or the slides-per-view count when scrolling by page.
+     */
+    getStep() {
+      return this.isCarousel && this.slideBy === 'page' ? this.slidesPerView : 1;
+    }
+
+    /**
+     * Get the number of navigation stops (pages).
+     *
+     * @return {number}
+     *   The number of distinct positions reachable with next/previous.
+     */
+    getPageCount() {
+      return Math.ceil((this.getMaxIndex() - 1) / this.getStep()) + 1;
+    }
+
+    /**
+     * Get the page the current slide index belongs to.
+     *
+     * @return {number}
+     *   The current page (1-based).
+     */
+    getCurrentPage() {
+      if (this.slideIndex >= this.getMaxIndex()) {
+        return this.getPageCount();
+      }
+
+      return Math.floor((this.slideIndex - 1) / this.getStep()) + 1;
+    }
+
+    /**
+     * Get the slide index a page starts at.
+     *
+     * @param {number} page
+     *   The page (1-based).
+     *
+     * @return {number}
+     *   The slide index (1-based) of the first visible slide on that page.
+     */
+    getPageSlideIndex(page) {
+      return Math.min(1 + (page - 1) * this.getStep(), this.getMaxIndex());
+    }
+
+    /**
+     * Check whether slides switch without any animation.
+     *
+     * @return {boolean}
+     *   TRUE when the core itself handles slide visibility.
+     */
+    isInstantTransition() {
+      return !this.isCarousel && (this.container.dataset.transition || 'instant') === 'instant';
     }
 
     /**
@@ -56,11 +263,16 @@
       const previousIndex = this.currentSlideIndex;
       const newIndex = this.slideIndex;
 
+      // A new slide gets a fresh clock, before listeners read it
+      this.resetSlideClock();
+
       // Dispatch event BEFORE transition - transitions module handles visuals
       this.container.dispatchEvent(new CustomEvent('vvjs:slideChanging', {
         detail: {
           fromIndex: previousIndex,
           toIndex: newIndex,
+          direction: this.direction,
+          auto: this.isAdvancingAutomatically,
         },
       }));
 
@@ -68,9 +280,8 @@
       this.currentSlideIndex = newIndex;
 
       // For instant transitions (default), update immediately
-      // For crossfade, accessibility updates happen after transition completes
-      const transitionType = this.container.dataset.transition || 'instant';
-      if (transitionType === 'instant') {
+      // For crossfade, slide and carousel, accessibility updates happen after transition completes
+      if (this.isInstantTransition()) {
         this.updateAccessibilityAttributes();
         this.adjustHeight();
       }
@@ -83,18 +294,21 @@
      * don't announce hidden slides during crossfade.
      */
     updateAccessibilityAttributes() {
+      const isInstant = this.isInstantTransition();
+
       this.slides.forEach((slide, index) => {
-        const isActive = index + 1 === this.slideIndex;
+        // Every slide in the visible window counts as active
+        const isActive = index + 1 >= this.slideIndex && index + 1 < this.slideIndex + this.slidesPerView;
 
         // For instant transitions, use display
-        const transitionType = this.container.dataset.transition || 'instant';
-        if (transitionType === 'instant') {
+        if (isInstant) {
           slide.style.display = isActive ? 'block' : 'none';
         }
 
         // Accessibility attributes
         slide.setAttribute('aria-hidden', !isActive);
         slide.toggleAttribute('inert', !isActive);
+        slide.setAttribute('tabindex', isActive ? '0' : '-1');
         slide.classList.toggle('active', isActive);
 
         // Manage focus for interactive elements
@@ -105,7 +319,13 @@
 
       // Trigger events for other modules to respond to
       this.container.dispatchEvent(new CustomEvent('vvjs:slideChanged', {
-        detail: { slideIndex: this.slideIndex, totalSlides: this.totalSlides },
+        detail: {
+          slideIndex: this.slideIndex,
+          totalSlides: this.totalSlides,
+          page: this.getCurrentPage(),
+          pageCount: this.getPageCount(),
+          slidesPerView: this.slidesPerView,
+        },
       }));
     }
 
@@ -121,8 +341,18 @@
 
       let contentHeight;
 
+      // For carousel, the tallest visible slide sets the height; stacked
+      // vertically, the visible slides add up
+      if (this.isCarousel) {
+        const heights = Array.from(this.slides)
+          .slice(this.slideIndex - 1, this.slideIndex - 1 + this.slidesPerView)
+          .map((slide) => slide.getBoundingClientRect().height);
+        contentHeight = this.isVertical
+          ? heights.reduce((sum, height) => sum + height, 0)
+          : Math.max(...heights);
+      }
       // For crossfade, temporarily ensure slide is visible to measure
-      if (transitionType.startsWith('crossfade')) {
+      else if (transitionType.startsWith('crossfade')) {
         const prevOpacity = currentSlide.style.opacity;
         const prevZIndex = currentSlide.style.zIndex;
 
@@ -155,17 +385,17 @@
      * Navigate to next slide.
      */
     nextSlide() {
-      if (this.loopingEnabled) {
-        this.slideIndex = (this.slideIndex % this.totalSlides) + 1;
+      this.direction = 'next';
+      const maxIndex = this.getMaxIndex();
+
+      if (this.slideIndex < maxIndex) {
+        this.slideIndex = Math.min(this.slideIndex + this.getStep(), maxIndex);
+      } else if (this.loopingEnabled) {
+        this.slideIndex = 1;
       } else {
-        // Stop at last slide when looping is disabled
-        if (this.slideIndex < this.totalSlides) {
-          this.slideIndex++;
-        } else {
-          // At last slide with no looping - stop auto-advance
-          this.stopAutoSlide();
-          return;
-        }
+        // At last slide with no looping - stop auto-advance
+        this.stopAutoSlide();
+        return;
       }
       this.updateSlideVisibility();
       this.adjustHeight();
@@ -175,15 +405,19 @@
      * Navigate to previous slide.
      */
     prevSlide() {
-      if (this.loopingEnabled) {
-        this.slideIndex = (this.slideIndex === 1) ? this.totalSlides : this.slideIndex - 1;
+      this.direction = 'prev';
+      const maxIndex = this.getMaxIndex();
+
+      if (this.slideIndex >= maxIndex && this.slideIndex > 1) {
+        // Step back onto the regular page grid from the clamped last page
+        this.slideIndex = this.getPageSlideIndex(this.getPageCount() - 1);
+      } else if (this.slideIndex > 1) {
+        this.slideIndex = Math.max(1, this.slideIndex - this.getStep());
+      } else if (this.loopingEnabled) {
+        this.slideIndex = maxIndex;
       } else {
         // Stop at first slide when looping is disabled
-        if (this.slideIndex > 1) {
-          this.slideIndex--;
-        } else {
-          return;
-        }
+        return;
       }
       this.updateSlideVisibility();
       this.adjustHeight();
@@ -191,38 +425,404 @@
 
     /**
      * Navigate to specific slide.
+     *
+     * In carousel mode the view stops at the last full page, so the target
+     * slide is visible but not necessarily first.
      */
     goToSlide(index) {
       if (index >= 1 && index <= this.totalSlides) {
-        this.slideIndex = index;
+        const target = Math.min(index, this.getMaxIndex());
+        this.direction = target < this.slideIndex ? 'prev' : 'next';
+        this.slideIndex = target;
         this.updateSlideVisibility();
         this.adjustHeight();
       }
     }
 
     /**
-     * Start automatic slideshow.
+     * Re-read the slides after .vvjs-item elements were added or removed.
+     *
+     * Stays on the slide that was showing when it still exists. Other
+     * modules update through the vvjs:slidesUpdated event, dispatched before
+     * the usual vvjs:slideChanged.
+     */
+    refresh() {
+      const previousTotal = this.totalSlides;
+      const activeSlide = this.slides[this.slideIndex - 1];
+
+      this.slides = this.slideshow.querySelectorAll('.vvjs-item');
+      this.totalSlides = this.slides.length;
+      this.container.dataset.totalSlides = this.totalSlides;
+
+      if (this.isCarousel) {
+        this.slidesPerView = this.getResponsiveSlidesPerView();
+      }
+
+      const keptIndex = Array.from(this.slides).indexOf(activeSlide) + 1;
+      this.slideIndex = Math.max(1, Math.min(keptIndex || this.slideIndex, this.getMaxIndex()));
+      this.currentSlideIndex = this.slideIndex;
+
+      // A different slide took the place of the active one
+      const activeSlideChanged = this.slides[this.slideIndex - 1] !== activeSlide;
+      if (activeSlideChanged) {
+        this.resetSlideClock();
+      }
+
+      this.container.dispatchEvent(new CustomEvent('vvjs:slidesUpdated', {
+        detail: {
+          slideIndex: this.slideIndex,
+          totalSlides: this.totalSlides,
+          previousTotal,
+          activeSlideChanged,
+        },
+      }));
+
+      this.updateAccessibilityAttributes();
+      this.adjustHeight();
+    }
+
+    /**
+     * Add a slide.
+     *
+     * @param {HTMLElement} slide
+     *   A .vvjs-item element, or content to wrap in one. Behaviors are not
+     *   attached to it; call Drupal.attachBehaviors() for Drupal markup.
+     * @param {number} position
+     *   Position of the new slide (1-based), defaults to the end.
+     *
+     * @return {HTMLElement|null}
+     *   The added .vvjs-item, or null if no element was given.
+     */
+    addSlide(slide, position = this.totalSlides + 1) {
+      if (!(slide instanceof HTMLElement)) {
+        return null;
+      }
+
+      let item = slide;
+      if (!item.classList.contains('vvjs-item')) {
+        const inner = document.createElement('div');
+        inner.className = 'vvjs-item-inner';
+        inner.appendChild(slide);
+
+        item = document.createElement('div');
+        item.className = 'vvjs-item';
+        item.appendChild(inner);
+      }
+
+      // Match the markup of server-rendered slides
+      if (!item.id) {
+        item.id = this.getNewSlideId();
+      }
+      item.setAttribute('role', 'tabpanel');
+      item.setAttribute('aria-roledescription', Drupal.t('slide'));
+      item.setAttribute('aria-hidden', 'true');
+      item.setAttribute('tabindex', '-1');
+
+      this.slideshow.insertBefore(item, this.slides[position - 1] || null);
+      this.refresh();
+
+      return item;
+    }
+
+    /**
+     * Remove a slide.
+     *
+     * @param {number|HTMLElement} slide
+     *   The slide index (1-based) or the .vvjs-item element.
+     *
+     * @return {boolean}
+     *   True if the slide was removed. The last remaining slide is kept.
+     */
+    removeSlide(slide) {
+      const item = typeof slide === 'number' ? this.slides[slide - 1] : slide;
+
+      if (!item || !Array.from(this.slides).includes(item) || this.totalSlides <= 1) {
+        return false;
+      }
+
+      item.remove();
+      this.refresh();
+
+      return true;
+    }
+
+    /**
+     * Get an unused id for a slide added at runtime.
+     *
+     * @return {string}
+     *   An id following the vvjs-item-{unique id}-{number} pattern.
+     */
+    getNewSlideId() {
+      const prefix = (this.slideshow.id || 'vvjs-items').replace(/^vvjs-items/, 'vvjs-item');
+      let number = this.totalSlides + 1;
+
+      while (document.getElementById(`${prefix}-${number}`)) {
+        number++;
+      }
+
+      return `${prefix}-${number}`;
+    }
+
+    /**
+     * Get how long a slide stays visible during auto-advance.
+     *
+     * A slide can override the global slideTime with data-duration (in
+     * milliseconds) on the .vvjs-item, or on any element inside it as
+     * data-vvjs-duration. A held slide reports the duration of its hold.
+     *
+     * @param {number} index
+     *   The slide index (1-based), defaults to the current slide.
+     *
+     * @return {number}
+     *   Duration in milliseconds.
+     */
+    getSlideDuration(index = this.slideIndex) {
+      if (this.slideHold?.getDuration && index === this.slideIndex) {
+        return this.slideHold.getDuration() || this.slideTime;
+      }
+
+      const slide = this.slides[index - 1];
+      const duration = slide?.dataset.duration
+        ?? slide?.querySelector('[data-vvjs-duration]')?.dataset.vvjsDuration;
+
+      return parseInt(duration, 10) || this.slideTime;
+    }
+
+    /**
+     * Get the title of a slide for screen readers and navigation labels.
+     *
+     * Comes from data-slide-title on the .vvjs-item, set from the view's
+     * slide title field or by custom templates.
+     *
+     * @param {number} index
+     *   The slide index (1-based), defaults to the current slide.
+     *
+     * @return {string}
+     *   The title, or an empty string.
+     */
+    getSlideTitle(index = this.slideIndex) {
+      return (this.slides[index - 1]?.dataset.slideTitle || '').trim();
+    }
+
+    /**
+     * Get the key that names a slide in deep links.
+     *
+     * @param {number} index
+     *   The slide index (1-based).
+     *
+     * @return {string}
+     *   The slide's data-slide-slug, or its number when it has none.
+     */
+    getSlideKey(index) {
+      return this.slides[index - 1]?.dataset.slideSlug || String(index);
+    }
+
+    /**
+     * Fill the @placeholders of a translated message with plain text.
+     *
+     * Unlike Drupal.formatString(), values are not HTML-escaped: slide titles
+     * are already plain text, and the result goes to textContent or an
+     * attribute, where entities would be read out literally.
+     *
+     * @param {string} message
+     *   The translated message, e.g. from Drupal.t() without arguments.
+     * @param {Object} args
+     *   Values keyed by placeholder, e.g. { '@title': 'Zlatan & Co' }.
+     *
+     * @return {string}
+     *   The message with every known placeholder replaced.
+     */
+    formatText(message, args) {
+      return message.replace(/@\w+/g, (token) => (
+        Object.prototype.hasOwnProperty.call(args, token) ? String(args[token]) : token
+      ));
+    }
+
+    /**
+     * Find a slide by its deep link key.
+     *
+     * @param {string} key
+     *   A slide number or slug, as returned by getSlideKey().
+     *
+     * @return {number|null}
+     *   The slide index (1-based), or null if no slide matches.
+     */
+    getSlideIndexByKey(key) {
+      if (/^\d+$/.test(key)) {
+        const index = parseInt(key, 10);
+        return index >= 1 && index <= this.totalSlides ? index : null;
+      }
+
+      const index = Array.from(this.slides).findIndex((slide) => slide.dataset.slideSlug === key);
+      return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Get the time the current slide has been shown while auto-advancing.
+     *
+     * @return {number}
+     *   Elapsed time in milliseconds, excluding paused periods.
+     */
+    getSlideElapsed() {
+      if (this.slideHold?.getElapsed) {
+        return this.slideHold.getElapsed();
+      }
+
+      const running = this.slideClockStartedAt !== null
+        ? performance.now() - this.slideClockStartedAt
+        : 0;
+
+      return this.slideElapsed + running;
+    }
+
+    /**
+     * Get the time left before the current slide auto-advances.
+     *
+     * @return {number}
+     *   Remaining time in milliseconds.
+     */
+    getSlideRemaining() {
+      return Math.max(0, this.getSlideDuration() - this.getSlideElapsed());
+    }
+
+    /**
+     * Restart the slide clock for a newly shown slide.
+     *
+     * A running auto-advance is rescheduled for the new slide's full
+     * duration. Any hold on the previous slide is released.
+     */
+    resetSlideClock() {
+      this.slideElapsed = 0;
+      this.slideHold = null;
+
+      if (this.isAutoSliding) {
+        this.slideClockStartedAt = performance.now();
+        this.scheduleNextSlide();
+      }
+      else {
+        this.slideClockStartedAt = null;
+      }
+    }
+
+    /**
+     * Start (or resume) automatic slideshow.
+     *
+     * Continues the current slide's clock, so a slide paused halfway only
+     * waits for the remaining half.
      */
     startAutoSlide() {
       this.stopAutoSlide();
       if (this.slideTime > 0 && !this.isPaused && this.isVisible) {
-        this.autoSlideIntervalId = setInterval(() => this.nextSlide(), this.slideTime);
+        this.isAutoSliding = true;
+        this.slideClockStartedAt = performance.now();
+        this.scheduleNextSlide();
 
         // Dispatch event for progress module
-        this.container.dispatchEvent(new CustomEvent('vvjs:autoSlideStarted'));
+        this.container.dispatchEvent(new CustomEvent('vvjs:autoSlideStarted', {
+          detail: {
+            duration: this.getSlideDuration(),
+            elapsed: this.slideElapsed,
+          },
+        }));
+      }
+    }
+
+    /**
+     * Queue the next auto-advance for the time left on the current slide.
+     *
+     * Advancing resets the slide clock, which queues the following slide.
+     */
+    scheduleNextSlide() {
+      clearTimeout(this.autoSlideTimeoutId);
+      this.autoSlideTimeoutId = null;
+
+      // A held slide advances when its hold decides
+      if (this.slideHold) {
+        return;
+      }
+
+      this.autoSlideTimeoutId = setTimeout(() => {
+        this.autoSlideTimeoutId = null;
+        this.advanceAutomatically();
+      }, this.getSlideRemaining());
+    }
+
+    /**
+     * Move to the next slide on behalf of auto-advance.
+     */
+    advanceAutomatically() {
+      this.isAdvancingAutomatically = true;
+      try {
+        this.nextSlide();
+      }
+      finally {
+        this.isAdvancingAutomatically = false;
+      }
+    }
+
+    /**
+     * Keep the current slide until releaseSlide() or a slide change.
+     *
+     * Used by content that decides its own length, such as a video that
+     * should play to the end. Auto-advance stays on but does not move on.
+     *
+     * @param {Object} clock
+     *   Optional getDuration() and getElapsed() functions, in milliseconds,
+     *   reported for the held slide, e.g. for the progress bar.
+     */
+    holdSlide(clock = {}) {
+      this.slideHold = clock || {};
+      clearTimeout(this.autoSlideTimeoutId);
+      this.autoSlideTimeoutId = null;
+    }
+
+    /**
+     * Release a hold from holdSlide().
+     *
+     * @param {boolean} advance
+     *   TRUE to move to the next slide right away when auto-advancing.
+     *   Otherwise the slide's own duration continues from the time spent.
+     */
+    releaseSlide(advance = false) {
+      if (!this.slideHold) {
+        return;
+      }
+
+      this.slideHold = null;
+
+      if (!this.isAutoSliding) {
+        return;
+      }
+
+      if (advance) {
+        this.advanceAutomatically();
+      }
+      else {
+        this.scheduleNextSlide();
       }
     }
 
     /**
-     * Stop automatic slideshow.
+     * Stop automatic slideshow, keeping the time already spent on the slide.
      */
     stopAutoSlide() {
-      if (this.autoSlideIntervalId) {
-        clearInterval(this.autoSlideIntervalId);
-        this.autoSlideIntervalId = null;
+      if (this.autoSlideTimeoutId) {
+        clearTimeout(this.autoSlideTimeoutId);
+        this.autoSlideTimeoutId = null;
+      }
+
+      if (this.isAutoSliding) {
+        // The slide's own clock, not the hold's
+        this.slideElapsed += this.slideClockStartedAt !== null
+          ? performance.now() - this.slideClockStartedAt
+          : 0;
+        this.slideClockStartedAt = null;
+        this.isAutoSliding = false;
 
         // Dispatch event for progress module
-        this.container.dispatchEvent(new CustomEvent('vvjs:autoSlideStopped'));
+        this.container.dispatchEvent(new CustomEvent('vvjs:autoSlideStopped', {
+          detail: { elapsed: this.slideElapsed },
+        }));
       }
     }
 
@@ -247,6 +847,29 @@
       }
     }
 
+    /**
+     * Continue auto-advance after the visitor changed the slide.
+     *
+     * Restarts the slide clock, or pauses the slideshow when it stops for
+     * good once the visitor interacts. The play button still resumes it.
+     */
+    handleUserNavigation() {
+      if (!this.stopOnInteraction) {
+        this.startAutoSlide();
+        return;
+      }
+
+      if (this.isPaused || this.slideTime <= 0) {
+        return;
+      }
+
+      this.togglePause();
+
+      this.container.dispatchEvent(new CustomEvent('vvjs:autoplayDisabledByUser', {
+        detail: { slideIndex: this.slideIndex },
+      }));
+    }
+
     /**
      * Set visibility state.
      */
@@ -264,7 +887,12 @@
      */
     destroy() {
       this.stopAutoSlide();
-      // Additional cleanup can be added here
+      this.abortController.abort();
+
+      this.slidesPerViewQueries.forEach(({ query, handler }) => {
+        query.removeEventListener('change', handler);
+      });
+      this.slidesPerViewQueries = [];
     }
   }
 
@@ -26,6 +26,12 @@
       this.isDragging = false;
       this.dragThreshold = 40;
 
+      // Live drag tracking - recent pointer samples for flick velocity.
+      this.dragSamples = [];
+      this.flickVelocity = 0.3; // px/ms
+      this.velocityWindow = 100; // ms
+      this.isVertical = slideshowCore.isVertical;
+
       // Mouse state
       this.isMouseOver = false;
 
@@ -33,6 +39,9 @@
       this.swipeEnabled = container.dataset.enableSwipe !== 'false';
       this.pauseOnHover = container.dataset.pauseOnHover !== 'false';
 
+      // Aborted in destroy() to remove every listener this module adds.
+      this.abortController = new AbortController();
+
       this.init();
     }
 
@@ -48,6 +57,23 @@
 
       // Mouse events for hover pause functionality.
       this.setupMouseEvents();
+
+      // Options changed at runtime through VVJSSlideshow.updateConfig().
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        const { swipeEnabled, pauseOnHover } = e.detail.config;
+
+        if (swipeEnabled !== undefined) {
+          this.setSwipeEnabled(Boolean(swipeEnabled));
+        }
+        if (pauseOnHover !== undefined) {
+          this.setPauseOnHover(Boolean(pauseOnHover));
+        }
+
+        // The core may have restarted its clock under the pointer.
+        if (this.pauseOnHover && this.isMouseOver) {
+          this.core.stopAutoSlide();
+        }
+      }, { signal: this.abortController.signal });
     }
 
     /**
@@ -58,25 +84,27 @@
         return;
       }
 
+      const { signal } = this.abortController;
+
       // Pointer down - start tracking.
       this.slideshow.addEventListener('pointerdown', (e) => {
         this.handlePointerDown(e);
-      });
+      }, { signal });
 
       // Pointer move - must be non-passive to allow preventDefault().
       this.slideshow.addEventListener('pointermove', (e) => {
         this.handlePointerMove(e);
-      }, { passive: false });
+      }, { passive: false, signal });
 
       // Pointer up - process gesture.
       this.slideshow.addEventListener('pointerup', (e) => {
         this.handlePointerUp(e);
-      });
+      }, { signal });
 
       // Pointer cancel - reset state.
       this.slideshow.addEventListener('pointercancel', () => {
         this.resetTouchState();
-      });
+      }, { signal });
 
     }
 
@@ -88,25 +116,27 @@
         return;
       }
 
+      const { signal } = this.abortController;
+
       // Touch start.
       this.slideshow.addEventListener('touchstart', (e) => {
         this.handleTouchStart(e);
-      }, { passive: true });
+      }, { passive: true, signal });
 
       // Touch move - must be non-passive to allow preventDefault().
       this.slideshow.addEventListener('touchmove', (e) => {
         this.handleTouchMove(e);
-      }, { passive: false });
+      }, { passive: false, signal });
 
       // Touch end.
       this.slideshow.addEventListener('touchend', (e) => {
         this.handleTouchEnd(e);
-      }, { passive: true });
+      }, { passive: true, signal });
 
       // Touch cancel.
       this.slideshow.addEventListener('touchcancel', () => {
         this.resetTouchState();
-      });
+      }, { signal });
     }
 
     /**
@@ -117,15 +147,17 @@
         return;
       }
 
+      const { signal } = this.abortController;
+
       // Mouse enter - pause slideshow.
       this.slideshow.addEventListener('mouseenter', () => {
         this.handleMouseEnter();
-      });
+      }, { signal });
 
       // Mouse leave - resume slideshow.
       this.slideshow.addEventListener('mouseleave', () => {
         this.handleMouseLeave();
-      });
+      }, { signal });
     }
 
     /**
@@ -146,15 +178,7 @@
         return;
       }
 
-      const deltaX = Math.abs(e.clientX - this.touchStartX);
-      const deltaY = Math.abs(e.clientY - this.touchStartY);
-
-      // Determine if this is a horizontal swipe.
-      if (deltaX > deltaY && deltaX > 10) {
-        this.isDragging = true;
-        // Prevent default to stop scrolling during horizontal swipe.
-        e.preventDefault();
-      }
+      this.trackDrag(e.clientX, e.clientY, e);
     }
 
     /**
@@ -172,6 +196,8 @@
       this.touchStartX = e.clientX;
       this.touchStartY = e.clientY;
       this.isDragging = false;
+      this.dragSamples = [];
+      this.recordDragSample(this.getAxisPosition(e.clientX, e.clientY));
     }
 
     /**
@@ -188,6 +214,7 @@
 
       this.touchEndX = e.clientX;
       this.touchEndY = e.clientY;
+      this.recordDragSample(this.getAxisPosition(e.clientX, e.clientY));
 
       this.processSwipeGesture();
       this.resetTouchState();
@@ -205,6 +232,8 @@
       this.touchStartX = touch.clientX;
       this.touchStartY = touch.clientY;
       this.isDragging = false;
+      this.dragSamples = [];
+      this.recordDragSample(this.getAxisPosition(touch.clientX, touch.clientY));
     }
 
     /**
@@ -215,16 +244,96 @@
         return;
       }
 
+      if (this.touchStartX === null || this.touchStartY === null) {
+        return;
+      }
+
       const touch = e.touches[0];
-      const deltaX = Math.abs(touch.clientX - this.touchStartX);
-      const deltaY = Math.abs(touch.clientY - this.touchStartY);
+      this.trackDrag(touch.clientX, touch.clientY, e);
+    }
 
-      // Determine if this is a horizontal swipe.
-      if (deltaX > deltaY && deltaX > 10) {
+    /**
+     * Track pointer movement and let the active slide follow the finger.
+     *
+     * @param {number} clientX
+     *   Current horizontal pointer position.
+     * @param {number} clientY
+     *   Current vertical pointer position.
+     * @param {Event} e
+     *   The originating move event.
+     */
+    trackDrag(clientX, clientY, e) {
+      const offset = this.getAxisPosition(clientX, clientY)
+        - this.getAxisPosition(this.touchStartX, this.touchStartY);
+      const crossOffset = this.getAxisPosition(clientY, clientX)
+        - this.getAxisPosition(this.touchStartY, this.touchStartX);
+
+      // Determine if this is a swipe along the slideshow's orientation.
+      if (!this.isDragging && Math.abs(offset) > Math.abs(crossOffset) && Math.abs(offset) > 10) {
         this.isDragging = true;
-        // Prevent default to stop scrolling during horizontal swipe.
-        e.preventDefault();
       }
+
+      if (!this.isDragging) {
+        return;
+      }
+
+      // Prevent default to stop scrolling during the swipe.
+      e.preventDefault();
+
+      this.recordDragSample(this.getAxisPosition(clientX, clientY));
+
+      this.container.dispatchEvent(new CustomEvent('vvjs:dragMove', {
+        detail: {
+          offset,
+          velocity: this.getDragVelocity(),
+        }
+      }));
+    }
+
+    /**
+     * Get the coordinate along the slideshow's orientation.
+     *
+     * @param {number} clientX
+     *   Horizontal pointer position.
+     * @param {number} clientY
+     *   Vertical pointer position.
+     *
+     * @return {number}
+     *   clientY for vertical slideshows, clientX otherwise.
+     */
+    getAxisPosition(clientX, clientY) {
+      return this.isVertical ? clientY : clientX;
+    }
+
+    /**
+     * Record a pointer sample, keeping only the recent velocity window.
+     */
+    recordDragSample(position) {
+      const now = Date.now();
+      this.dragSamples.push({ x: position, time: now });
+
+      while (this.dragSamples.length > 2 && now - this.dragSamples[0].time > this.velocityWindow) {
+        this.dragSamples.shift();
+      }
+    }
+
+    /**
+     * Get drag velocity over the recent sample window.
+     *
+     * @return {number}
+     *   Velocity along the orientation in px/ms (negative when moving left
+     *   or up).
+     */
+    getDragVelocity() {
+      if (this.dragSamples.length < 2) {
+        return 0;
+      }
+
+      const first = this.dragSamples[0];
+      const last = this.dragSamples[this.dragSamples.length - 1];
+      const elapsed = last.time - first.time;
+
+      return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
     }
 
     /**
@@ -238,6 +347,7 @@
       const touch = e.changedTouches[0];
       this.touchEndX = touch.clientX;
       this.touchEndY = touch.clientY;
+      this.recordDragSample(this.getAxisPosition(touch.clientX, touch.clientY));
 
       this.processSwipeGesture();
       this.resetTouchState();
@@ -247,42 +357,100 @@
      * Process swipe gesture and trigger navigation.
      */
     processSwipeGesture() {
-      const deltaX = this.touchEndX - this.touchStartX;
-      const deltaY = Math.abs(this.touchEndY - this.touchStartY);
+      if (this.touchStartX === null || this.touchEndX === null) {
+        return;
+      }
 
-      // Only process if horizontal movement is significant and vertical is minimal.
-      if (Math.abs(deltaX) > this.dragThreshold && deltaY < this.dragThreshold * 1.5) {
-        if (deltaX > 0) {
-          // Swipe right - previous slide.
+      const delta = this.getAxisPosition(this.touchEndX, this.touchEndY)
+        - this.getAxisPosition(this.touchStartX, this.touchStartY);
+      const crossDelta = Math.abs(this.getAxisPosition(this.touchEndY, this.touchEndX)
+        - this.getAxisPosition(this.touchStartY, this.touchStartX));
+      const velocity = this.getDragVelocity();
+
+      // Swipe right (or down) goes back, also in right-to-left layouts, the
+      // same as the Left/Right arrow keys.
+      const direction = delta > 0 ? 'prev' : 'next';
+
+      // A long drag or a quick flick counts, as long as movement across the
+      // orientation is minimal.
+      const isSwipe = Math.abs(delta) > this.dragThreshold
+        || (Math.abs(velocity) >= this.flickVelocity && Math.abs(delta) > 10);
+      const committed = isSwipe
+        && crossDelta < this.dragThreshold * 1.5
+        && this.canNavigate(direction);
+
+      // Let the transitions module snap back or carry the drag into the transition.
+      if (this.isDragging) {
+        this.container.dispatchEvent(new CustomEvent('vvjs:dragEnd', {
+          detail: {
+            offset: delta,
+            velocity,
+            committed
+          }
+        }));
+        this.isDragging = false;
+      }
+
+      if (committed) {
+        if (direction === 'prev') {
           this.core.prevSlide();
         }
         else {
-          // Swipe left - next slide.
           this.core.nextSlide();
         }
 
-        // Restart auto-advance.
-        this.core.startAutoSlide();
+        // Restart auto-advance, or stop it for good.
+        this.core.handleUserNavigation();
 
         // Dispatch custom event.
         this.container.dispatchEvent(new CustomEvent('vvjs:swipe', {
           detail: {
-            direction: deltaX > 0 ? 'right' : 'left',
-            distance: Math.abs(deltaX)
+            direction: this.isVertical
+              ? (delta > 0 ? 'down' : 'up')
+              : (delta > 0 ? 'right' : 'left'),
+            distance: Math.abs(delta),
+            velocity
           }
         }));
       }
     }
 
+    /**
+     * Check whether the slideshow can move in the given direction.
+     */
+    canNavigate(direction) {
+      const maxIndex = this.core.getMaxIndex();
+
+      if (this.core.loopingEnabled) {
+        return maxIndex > 1;
+      }
+
+      return direction === 'prev'
+        ? this.core.slideIndex > 1
+        : this.core.slideIndex < maxIndex;
+    }
+
     /**
      * Reset touch state.
      */
     resetTouchState() {
+      // A cancelled drag must not leave the slide where the finger was.
+      if (this.isDragging) {
+        this.container.dispatchEvent(new CustomEvent('vvjs:dragEnd', {
+          detail: {
+            offset: 0,
+            velocity: 0,
+            committed: false
+          }
+        }));
+      }
+
       this.touchStartX = null;
       this.touchStartY = null;
       this.touchEndX = null;
       this.touchEndY = null;
       this.isDragging = false;
+      this.dragSamples = [];
     }
 
     /**
@@ -320,6 +488,10 @@
      * Enable or disable swipe gestures.
      */
     setSwipeEnabled(enabled) {
+      // A drag in progress snaps back.
+      if (!enabled) {
+        this.resetTouchState();
+      }
       this.swipeEnabled = enabled;
     }
 
@@ -327,6 +499,13 @@
      * Enable or disable pause on hover.
      */
     setPauseOnHover(enabled) {
+      // Resume a slideshow that only stopped for the pointer.
+      if (!enabled && this.pauseOnHover && this.isMouseOver) {
+        this.isMouseOver = false;
+        this.pauseOnHover = false;
+        this.core.startAutoSlide();
+        return;
+      }
       this.pauseOnHover = enabled;
     }
 
@@ -367,8 +546,7 @@
      * Clean up event listeners.
      */
     destroy() {
-      // Event listeners will be automatically removed when the container is destroyed
-      // but we could add explicit cleanup here if needed.
+      this.abortController.abort();
       this.resetTouchState();
     }
   }
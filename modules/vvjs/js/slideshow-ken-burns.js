@@ -0,0 +1,270 @@
+/**
+ * @file
+ * Slideshow Ken Burns effect.
+ *
+ * Slowly pans and zooms the image of the active slide for as long as the
+ * slide is shown, and pauses together with auto-advance. The animation
+ * itself lives in vvjs-ken-burns.css.
+ *
+ * Filename:     slideshow-ken-burns.js
+ * Website:      https://www.flashwebcenter.com
+ * Developer:    Alaa Haddad https://www.alaahaddad.com.
+ */
+
+((Drupal) => {
+  'use strict';
+
+  /**
+   * Drift of the image per direction, as [x, y] multipliers.
+   */
+  const DRIFT = {
+    zoom: [0, 0],
+    left: [1, 0],
+    right: [-1, 0],
+    up: [0, 1],
+    down: [0, -1],
+  };
+
+  /**
+   * Ken Burns manager class.
+   */
+  class SlideshowKenBurns {
+    constructor(container, slideshowCore) {
+      this.container = container;
+      this.core = slideshowCore;
+
+      // Configuration - data-ken-burns holds the direction, absent when off
+      this.direction = container.dataset.kenBurns || '';
+      this.zoom = this.parseZoom(container.dataset.kenBurnsZoom) || 20;
+      this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+
+      // Aborted in disable() to remove the listeners of the running effect
+      this.effectController = null;
+
+      this.init();
+    }
+
+    init() {
+      // Options changed at runtime through VVJSSlideshow.updateConfig()
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        this.applyConfig(e.detail.config);
+      }, { signal: this.abortController.signal });
+
+      if (this.isEnabled()) {
+        this.enable();
+      }
+    }
+
+    /**
+     * Apply options changed at runtime.
+     *
+     * The effect restarts on the current slide, so a new slideTime sets the
+     * length of its animation.
+     *
+     * @param {Object} config
+     *   The changed options; kenBurns, kenBurnsZoom and slideTime are used.
+     */
+    applyConfig(config) {
+      if (!['kenBurns', 'kenBurnsZoom', 'slideTime'].some((key) => key in config)) {
+        return;
+      }
+
+      if ('kenBurns' in config) {
+        this.direction = config.kenBurns || '';
+      }
+      if ('kenBurnsZoom' in config) {
+        this.zoom = this.parseZoom(config.kenBurnsZoom) || 20;
+      }
+
+      this.disable();
+      if (this.isEnabled()) {
+        this.enable();
+      }
+    }
+
+    /**
+     * Start the effect and follow the slideshow.
+     */
+    enable() {
+      this.effectController = new AbortController();
+      const { signal } = this.effectController;
+
+      this.container.classList.add('vvjs-ken-burns');
+
+      // Start the effect as the slide starts changing, so it lasts the
+      // slide's whole duration
+      this.container.addEventListener('vvjs:slideChanging', (e) => {
+        this.start(e.detail.toIndex);
+      }, { signal });
+
+      // Leaving images keep moving until they are out of view
+      this.container.addEventListener('vvjs:transitionComplete', () => {
+        this.clearInactive();
+      }, { signal });
+
+      this.container.addEventListener('vvjs:slidesUpdated', (e) => {
+        if (e.detail.activeSlideChanged) {
+          this.start(this.core.slideIndex);
+        }
+        this.clearInactive();
+      }, { signal });
+
+      // Pause with auto-advance: play/pause, hover and visibility
+      this.container.addEventListener('vvjs:autoSlideStarted', () => {
+        this.updatePlayState();
+      }, { signal });
+      this.container.addEventListener('vvjs:autoSlideStopped', () => {
+        this.updatePlayState();
+      }, { signal });
+
+      this.start(this.core.slideIndex);
+      this.updatePlayState();
+    }
+
+    /**
+     * Check whether the effect applies to this slideshow.
+     */
+    isEnabled() {
+      return Boolean(DRIFT[this.direction] || this.direction === 'random')
+        && !this.core.isCarousel
+        && this.core.slideTime > 0
+        && !this.reducedMotionQuery.matches;
+    }
+
+    /**
+     * Parse a zoom percentage, limited to the supported range.
+     */
+    parseZoom(value) {
+      const zoom = parseInt(value, 10);
+      return zoom > 0 ? Math.min(50, Math.max(5, zoom)) : 0;
+    }
+
+    /**
+     * Get the image to animate on a slide.
+     */
+    getImage(slide) {
+      return slide.querySelector('.vvjs-hero-image img') || slide.querySelector('img');
+    }
+
+    /**
+     * Get the start and end transforms for a slide.
+     *
+     * Slides can override the direction and zoom with data-ken-burns and
+     * data-ken-burns-zoom. The drift never uncovers the image's edges.
+     */
+    getTransforms(slide) {
+      let direction = slide.dataset.kenBurns || this.direction;
+      let zoom = (this.parseZoom(slide.dataset.kenBurnsZoom) || this.zoom) / 100;
+      let zoomOut = false;
+
+      if (direction === 'random') {
+        const directions = Object.keys(DRIFT);
+        direction = directions[Math.floor(Math.random() * directions.length)];
+        zoom *= 0.5 + Math.random() * 0.5;
+        zoomOut = Math.random() < 0.5;
+      }
+
+      const [x, y] = DRIFT[direction] || DRIFT.zoom;
+      const minScale = 1 + zoom / 2;
+      const maxScale = 1 + zoom;
+
+      // Shift (in % of the image) that stays covered at minScale, less 10%
+      const drift = ((minScale - 1) / (2 * minScale)) * 90;
+
+      const transform = (scale, sign) =>
+        `scale(${scale.toFixed(3)}) translate(${(sign * x * drift).toFixed(2)}%, ${(sign * y * drift).toFixed(2)}%)`;
+
+      return {
+        from: transform(zoomOut ? maxScale : minScale, 1),
+        to: transform(zoomOut ? minScale : maxScale, -1),
+      };
+    }
+
+    /**
+     * Start the effect on a slide.
+     *
+     * @param {number} index
+     *   The slide index (1-based).
+     */
+    start(index) {
+      const slide = this.core.slides[index - 1];
+      const image = slide ? this.getImage(slide) : null;
+      if (!image) {
+        return;
+      }
+
+      const { from, to } = this.getTransforms(slide);
+
+      // Restart the animation when the slide comes back
+      image.classList.remove('vvjs-ken-burns-image');
+      void image.offsetWidth;
+
+      image.style.setProperty('--vvjs-kb-from', from);
+      image.style.setProperty('--vvjs-kb-to', to);
+      image.style.setProperty('--vvjs-kb-duration', `${this.core.getSlideDuration(index)}ms`);
+      image.parentElement.classList.add('vvjs-ken-burns-frame');
+      image.classList.add('vvjs-ken-burns-image');
+
+      // Instant transitions have no leaving slide to wait for
+      if (this.core.isInstantTransition()) {
+        this.clearInactive();
+      }
+    }
+
+    /**
+     * Reset images on slides that are no longer shown.
+     */
+    clearInactive() {
+      this.core.slides.forEach((slide, index) => {
+        if (index + 1 === this.core.slideIndex) {
+          return;
+        }
+        slide.querySelectorAll('.vvjs-ken-burns-image').forEach((image) => this.reset(image));
+      });
+    }
+
+    /**
+     * Remove the effect from an image.
+     */
+    reset(image) {
+      image.classList.remove('vvjs-ken-burns-image');
+      image.style.removeProperty('--vvjs-kb-from');
+      image.style.removeProperty('--vvjs-kb-to');
+      image.style.removeProperty('--vvjs-kb-duration');
+    }
+
+    /**
+     * Run the effect only while the slide clock runs.
+     */
+    updatePlayState() {
+      this.container.classList.toggle('vvjs-ken-burns-paused', !this.core.isAutoSliding);
+    }
+
+    /**
+     * Stop the effect and remove its listeners.
+     */
+    disable() {
+      this.effectController?.abort();
+      this.effectController = null;
+
+      this.container.querySelectorAll('.vvjs-ken-burns-image').forEach((image) => this.reset(image));
+      this.container.classList.remove('vvjs-ken-burns', 'vvjs-ken-burns-paused');
+    }
+
+    /**
+     * Remove the effect and its listeners.
+     */
+    destroy() {
+      this.abortController.abort();
+      this.disable();
+    }
+  }
+
+  // Export to global namespace
+  Drupal.vvjs = Drupal.vvjs || {};
+  Drupal.vvjs.SlideshowKenBurns = SlideshowKenBurns;
+
+})(Drupal);
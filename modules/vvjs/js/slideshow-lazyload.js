@@ -0,0 +1,188 @@
+/**
+ * @file
+ * Slideshow lazy loading.
+ *
+ * Restores deferred image and media sources (data-vvjs-src/srcset) for the
+ * visible slides, and preloads the neighbouring slides as soon as a slide
+ * change starts so transitions never reveal an empty slide.
+ */
+
+((Drupal) => {
+  'use strict';
+
+  /**
+   * Lazy loading manager class.
+   */
+  class SlideshowLazyLoad {
+    constructor(container, slideshowCore) {
+      this.container = container;
+      this.core = slideshowCore;
+
+      // Configuration
+      this.enabled = container.dataset.lazyLoad === 'true';
+      this.preloadDistance = 1; // Slides to preload on each side of the view
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+
+      this.init();
+    }
+
+    init() {
+      if (!this.enabled) {
+        return;
+      }
+
+      // Load what is visible now, then what the first move can reveal
+      this.loadView(this.core.slideIndex);
+
+      const { signal } = this.abortController;
+
+      // Preload before the transition starts so the incoming slide is ready
+      this.container.addEventListener('vvjs:slideChanging', (e) => {
+        this.loadView(e.detail.toIndex);
+      }, { signal });
+
+      this.container.addEventListener('vvjs:slidesPerViewChanged', () => {
+        this.loadView(this.core.slideIndex);
+      }, { signal });
+
+      // Slides added at runtime may be in view or next to it
+      this.container.addEventListener('vvjs:slidesUpdated', () => {
+        this.loadView(this.core.slideIndex);
+      }, { signal });
+    }
+
+    /**
+     * Load the slides in view at an index and preload their neighbours.
+     *
+     * @param {number} slideIndex
+     *   The first visible slide (1-based).
+     */
+    loadView(slideIndex) {
+      if (!this.enabled) {
+        return;
+      }
+
+      const lastVisible = slideIndex + this.core.slidesPerView - 1;
+
+      for (let index = slideIndex; index <= lastVisible; index++) {
+        this.loadSlide(index);
+      }
+
+      for (let distance = 1; distance <= this.preloadDistance; distance++) {
+        this.loadSlide(this.resolveIndex(slideIndex - distance));
+        this.loadSlide(this.resolveIndex(lastVisible + distance));
+      }
+    }
+
+    /**
+     * Map an index outside the slide range onto the slide it wraps to.
+     *
+     * @param {number} index
+     *   The slide index (1-based), possibly out of range.
+     *
+     * @return {number|null}
+     *   The wrapped index, or null when the slideshow does not loop.
+     */
+    resolveIndex(index) {
+      const total = this.core.totalSlides;
+
+      if (index >= 1 && index <= total) {
+        return index;
+      }
+      if (!this.core.loopingEnabled || total < 2) {
+        return null;
+      }
+
+      return ((index - 1 + total) % total) + 1;
+    }
+
+    /**
+     * Restore the deferred sources of a slide.
+     *
+     * @param {number|null} index
+     *   The slide index (1-based).
+     */
+    loadSlide(index) {
+      const slide = index ? this.core.slides[index - 1] : null;
+      if (!slide) {
+        return;
+      }
+
+      const deferred = slide.querySelectorAll('[data-vvjs-src], [data-vvjs-srcset]');
+      if (!deferred.length) {
+        return;
+      }
+
+      const media = new Set();
+
+      deferred.forEach((element) => {
+        // Set srcset before src so the browser only fetches the best candidate
+        if (element.dataset.vvjsSrcset) {
+          element.srcset = element.dataset.vvjsSrcset;
+        }
+        if (element.dataset.vvjsSrc) {
+          element.src = element.dataset.vvjsSrc;
+        }
+        element.removeAttribute('data-vvjs-srcset');
+        element.removeAttribute('data-vvjs-src');
+
+        if (element.tagName === 'IMG' && !element.complete) {
+          element.addEventListener('load', () => this.handleImageLoad(slide), {
+            once: true,
+            signal: this.abortController.signal,
+          });
+        }
+
+        // Media elements only pick up new <source> children after load()
+        const parent = element.parentElement;
+        if (element.tagName === 'SOURCE' && parent && typeof parent.load === 'function') {
+          media.add(parent);
+        }
+      });
+
+      media.forEach((element) => element.load());
+
+      this.container.dispatchEvent(new CustomEvent('vvjs:slideLoaded', {
+        detail: { slideIndex: index },
+      }));
+    }
+
+    /**
+     * Re-measure the slideshow once an image in the view has loaded.
+     *
+     * @param {HTMLElement} slide
+     *   The slide the image belongs to.
+     */
+    handleImageLoad(slide) {
+      if (slide.classList.contains('active')) {
+        this.core.adjustHeight();
+      }
+    }
+
+    /**
+     * Load every deferred slide at once.
+     */
+    loadAll() {
+      for (let index = 1; index <= this.core.totalSlides; index++) {
+        this.loadSlide(index);
+      }
+    }
+
+    /**
+     * Clean up lazy loading.
+     */
+    destroy() {
+      // Stop reacting to slide changes; deferred slides stay deferred so a
+      // reinitialized slideshow keeps loading them on demand
+      this.enabled = false;
+      this.abortController.abort();
+    }
+  }
+
+  // Export to global namespace
+  Drupal.vvjs = Drupal.vvjs || {};
+  Drupal.vvjs.SlideshowLazyLoad = SlideshowLazyLoad;
+
+})(Drupal);
@@ -2,7 +2,8 @@
  * @file
  * Slideshow navigation controls.
  *
- * Handles navigation buttons, dots, arrows, and play/pause controls.
+ * Handles navigation buttons, dots, thumbnails, arrows, and play/pause
+ * controls.
  */
 
 ((Drupal) => {
@@ -18,6 +19,11 @@
       <path d="M360-320h80v-320h-80v320Zm160 0h80v-320h-80v320ZM480-80q-83 0-156-31.5T197-197q-54-54-85.5-127T80-480q0-83 31.5-156T197-763q54-54 127-85.5T480-880q83 0 156 31.5T763-763q54 54 85.5 127T880-480q0 83-31.5 156T763-197q-54 54-127 85.5T480-80Zm0-80q134 0 227-93t93-227q0-134-93-227t-227-93q-134 0-227 93t-93 227q0 134 93 227t227 93Zm0-320Z"></path>
     </svg>`;
 
+  /**
+   * Arrow position classes of the .vvjs wrapper.
+   */
+  const ARROW_STYLES = ['arrows-sides', 'arrows-sides-big', 'arrows-top', 'arrows-top-big'];
+
   /**
    * Navigation controls class.
    */
@@ -31,70 +37,406 @@
       this.nextButton = container.querySelector('.next-arrow');
       this.prevButton = container.querySelector('.prev-arrow');
       this.dots = container.querySelectorAll('.dots-numbers-button');
+      this.tablist = container.querySelector('.dots-numbers-button-wrapper');
       this.currentSlideElement = container.querySelector('.current-slide');
+      this.totalSlidesElement = container.querySelector('.total-slides');
+      this.thumbnailStrip = container.querySelector('.vvjs-thumbnails');
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
 
       this.init();
     }
 
     init() {
+      if (this.tablist) {
+        this.setupTablist();
+      }
+
+      if (this.thumbnailStrip) {
+        this.setupThumbnails();
+      }
+
       this.bindEvents();
       this.updateControls();
+      this.updatePages();
+
+      const { signal } = this.abortController;
 
       // Listen for slideshow state changes
       this.container.addEventListener('vvjs:slideChanged', (e) => {
         this.updateControls(e.detail);
-      });
+      }, { signal });
+
+      // Slides added or removed at runtime get matching dots
+      this.container.addEventListener('vvjs:slidesUpdated', () => {
+        this.syncDots();
+        this.updatePages();
+      }, { signal });
+
+      // Carousel pages change when a breakpoint changes the visible count
+      this.container.addEventListener('vvjs:slidesPerViewChanged', () => {
+        this.updatePages();
+      }, { signal });
 
       this.container.addEventListener('vvjs:pauseToggled', (e) => {
         this.updatePlayPauseButton(e.detail.isPaused);
+      }, { signal });
+
+      // Options changed at runtime through VVJSSlideshow.updateConfig()
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        this.applyConfig(e.detail.config);
+      }, { signal });
+    }
+
+    /**
+     * Apply options changed at runtime.
+     *
+     * @param {Object} config
+     *   The changed options. arrows sets the arrow position class, or hides
+     *   the arrows with 'none'. Without a slideTime there is nothing for the
+     *   play/pause button to do, so it is hidden.
+     */
+    applyConfig(config) {
+      if ('arrows' in config) {
+        this.setArrows(config.arrows);
+      }
+
+      if ('slideTime' in config && this.playPauseButton) {
+        this.playPauseButton.style.display = this.core.slideTime > 0 ? '' : 'none';
+      }
+    }
+
+    /**
+     * Show the arrows in a position, or hide them.
+     *
+     * @param {string} style
+     *   One of ARROW_STYLES, or 'none'.
+     */
+    setArrows(style) {
+      const arrows = this.nextButton?.closest('.slide-indicators');
+      const wrapper = this.container.closest('.vvjs');
+      if (!arrows || !wrapper) {
+        return;
+      }
+
+      const visible = ARROW_STYLES.includes(style);
+      ARROW_STYLES.forEach((arrowStyle) => {
+        wrapper.classList.toggle(arrowStyle, arrowStyle === style);
       });
+      arrows.style.display = visible ? '' : 'none';
+      this.container.dataset.arrows = String(visible);
     }
 
     /**
      * Bind event listeners to navigation elements.
      */
     bindEvents() {
+      const { signal } = this.abortController;
+
       // Play/pause button
       this.playPauseButton?.addEventListener('click', () => {
-        // IMMEDIATE: Stop progress before toggling core state
+        // IMMEDIATE: Stop progress before toggling core state; it resumes
+        // from the same position when playback continues
         const modules = this.container.vvjsModules;
         if (modules && modules.progress && !this.core.isPaused) {
-          modules.progress.resetProgress();
+          modules.progress.pauseProgress();
         }
 
         this.core.togglePause();
-      });
+      }, { signal });
 
       // Navigation arrows
       this.nextButton?.addEventListener('click', () => {
         this.core.nextSlide();
-        this.core.startAutoSlide();
-      });
+        this.core.handleUserNavigation();
+      }, { signal });
 
       this.prevButton?.addEventListener('click', () => {
         this.core.prevSlide();
-        this.core.startAutoSlide();
+        this.core.handleUserNavigation();
+      }, { signal });
+
+      // Dot navigation - one dot per page
+      this.dots.forEach((dot) => this.bindDot(dot));
+    }
+
+    /**
+     * Bind the click handler of a dot.
+     *
+     * The page is looked up on click, so dots keep working when slides are
+     * added or removed.
+     *
+     * @param {HTMLElement} dot
+     *   The dot, number or thumbnail button.
+     */
+    bindDot(dot) {
+      dot.addEventListener('click', (e) => {
+        // Deep link dots stay links for copying and new tabs; the slideshow
+        // writes the URL itself
+        if (dot.hasAttribute('href')) {
+          e.preventDefault();
+        }
+
+        const page = Array.from(this.dots).indexOf(dot) + 1;
+        this.core.goToSlide(this.core.getPageSlideIndex(page));
+        this.core.handleUserNavigation();
+      }, { signal: this.abortController.signal });
+    }
+
+    /**
+     * Get the deep link of a slide for a dot's href.
+     *
+     * Uses the same ?vvjs=identifier:slide format the slideshow writes to the
+     * URL, so a copied dot link opens the slideshow on that slide.
+     *
+     * @param {string} deeplinkId
+     *   The slideshow's deep link identifier.
+     * @param {number} slideIndex
+     *   The slide index (1-based).
+     *
+     * @return {string}
+     *   The link, relative to the current page.
+     */
+    getSlideLink(deeplinkId, slideIndex) {
+      return `?vvjs=${deeplinkId}:${this.core.getSlideKey(slideIndex)}`;
+    }
+
+    /**
+     * Rebuild the dots after slides were added or removed.
+     *
+     * Dots follow their slide, so thumbnails move along when slides are
+     * inserted. New dots are cloned from an existing one.
+     */
+    syncDots() {
+      const wrapper = this.tablist;
+      if (!wrapper || !this.dots.length) {
+        return;
+      }
+
+      const template = this.dots[0];
+      const idPrefix = template.id.replace(/-\d+$/, '');
+      const dotsBySlide = new Map();
+      this.dots.forEach((dot) => {
+        dotsBySlide.set(dot.getAttribute('aria-controls'), dot);
       });
 
-      // Dot navigation
+      const deeplinkId = this.container.dataset.deeplinkEnabled === 'true'
+        ? this.container.dataset.deeplinkId
+        : null;
+
+      Array.from(this.core.slides).forEach((slide, index) => {
+        const number = index + 1;
+        let dot = dotsBySlide.get(slide.id);
+        dotsBySlide.delete(slide.id);
+
+        if (!dot) {
+          dot = template.cloneNode(false);
+          dot.classList.remove('active');
+          dot.hidden = false;
+          dot.innerHTML = this.thumbnailStrip
+            ? '<span class="vvjs-thumbnail"></span><span class="visually-hidden"></span>'
+            : '';
+          this.bindDot(dot);
+        }
+
+        dot.id = `${idPrefix}-${number}`;
+        dot.setAttribute('aria-controls', slide.id);
+        const title = this.core.getSlideTitle(number);
+        dot.setAttribute('aria-label', this.core.formatText(title
+          ? Drupal.t('Go to slide @index: @title')
+          : Drupal.t('Go to slide @index'), { '@index': number, '@title': title }));
+        if (deeplinkId) {
+          dot.setAttribute('href', this.getSlideLink(deeplinkId, number));
+        }
+
+        // Thumbnails keep the number for screen readers only
+        const label = this.thumbnailStrip ? dot.querySelector('.visually-hidden') : dot;
+        if (label) {
+          label.textContent = number;
+        }
+
+        slide.setAttribute('aria-labelledby', dot.id);
+        wrapper.appendChild(dot);
+      });
+
+      // Dots of removed slides
+      dotsBySlide.forEach((dot) => dot.remove());
+
+      this.dots = wrapper.querySelectorAll('.dots-numbers-button');
+
+      if (this.thumbnailStrip) {
+        this.fillThumbnails();
+      }
+    }
+
+    /**
+     * Set up the dots as a WAI-ARIA tab list.
+     *
+     * Only the active dot is a Tab stop; arrow keys move between dots and
+     * show their slide.
+     */
+    setupTablist() {
+      this.tablist.addEventListener('keydown', (e) => {
+        this.handleTabKeydown(e);
+      }, { signal: this.abortController.signal });
+    }
+
+    /**
+     * Set up the thumbnail strip.
+     */
+    setupThumbnails() {
+      this.fillThumbnails();
+      this.scrollToActiveThumbnail(false);
+    }
+
+    /**
+     * Fill thumbnails that have no field markup with their slide's image.
+     */
+    fillThumbnails() {
       this.dots.forEach((dot, index) => {
-        dot.addEventListener('click', () => {
-          this.core.goToSlide(index + 1);
-          this.core.startAutoSlide();
-        });
+        const holder = dot.querySelector('.vvjs-thumbnail');
+        const image = this.core.slides[index]?.querySelector('img');
+        if (!holder || holder.querySelector('img') || !image) {
+          return;
+        }
+
+        const thumbnail = document.createElement('img');
+
+        // Lazy-loaded slides still carry their sources in data attributes
+        const srcset = image.getAttribute('srcset') || image.dataset.vvjsSrcset;
+        const src = image.getAttribute('src') || image.dataset.vvjsSrc;
+        if (srcset) {
+          thumbnail.srcset = srcset;
+          thumbnail.sizes = '6rem';
+        }
+        if (src) {
+          thumbnail.src = src;
+        }
+
+        // The button is labelled by the slide number, the image is decorative
+        thumbnail.alt = '';
+        thumbnail.loading = 'lazy';
+        thumbnail.decoding = 'async';
+        holder.appendChild(thumbnail);
       });
     }
 
+    /**
+     * Handle keyboard navigation within the dots.
+     *
+     * Arrow keys wrap around at either end, as in the WAI-ARIA tabs
+     * pattern. Hidden dots (carousel pages that do not exist) are skipped.
+     *
+     * @param {KeyboardEvent} e
+     *   The keydown event.
+     */
+    handleTabKeydown(e) {
+      const visibleDots = Array.from(this.dots).filter((dot) => !dot.hidden);
+      const current = visibleDots.indexOf(e.target.closest('.dots-numbers-button'));
+      if (current === -1) {
+        return;
+      }
+
+      const isRtl = window.getComputedStyle(this.tablist).direction === 'rtl';
+      const forward = isRtl ? 'ArrowLeft' : 'ArrowRight';
+      const backward = isRtl ? 'ArrowRight' : 'ArrowLeft';
+      let target;
+
+      switch (e.key) {
+        case forward:
+          target = (current + 1) % visibleDots.length;
+          break;
+
+        case backward:
+          target = (current - 1 + visibleDots.length) % visibleDots.length;
+          break;
+
+        case 'Home':
+          target = 0;
+          break;
+
+        case 'End':
+          target = visibleDots.length - 1;
+          break;
+
+        default:
+          return;
+      }
+
+      // Keep the slideshow-wide keyboard handler from navigating again
+      e.preventDefault();
+      e.stopPropagation();
+
+      const dot = visibleDots[target];
+      this.core.goToSlide(this.core.getPageSlideIndex(Array.from(this.dots).indexOf(dot) + 1));
+      this.core.handleUserNavigation();
+      dot.focus();
+    }
+
+    /**
+     * Scroll the active thumbnail into view within the strip.
+     *
+     * Scrolls the strip itself rather than using scrollIntoView, which would
+     * also scroll the page.
+     *
+     * @param {boolean} smooth
+     *   Whether to animate the scroll.
+     */
+    scrollToActiveThumbnail(smooth = true) {
+      const active = this.thumbnailStrip.querySelector('.dots-numbers-button.active');
+      if (!active) {
+        return;
+      }
+
+      const strip = this.thumbnailStrip;
+      const stripRect = strip.getBoundingClientRect();
+      const activeRect = active.getBoundingClientRect();
+
+      // Centre the active thumbnail, measured from the strip's scroll origin
+      const left = strip.scrollLeft + (activeRect.left - stripRect.left) - (stripRect.width - activeRect.width) / 2;
+      const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      strip.scrollTo({ left, behavior: smooth && !reducedMotion ? 'smooth' : 'auto' });
+    }
+
     /**
      * Update navigation controls based on current state.
      */
     updateControls(slideInfo = null) {
       if (slideInfo) {
-        this.updateDots(slideInfo.slideIndex);
-        this.updateSlideCounter(slideInfo.slideIndex);
+        const page = slideInfo.page ?? slideInfo.slideIndex;
+        this.updateDots(page);
+        this.updateSlideCounter(page, slideInfo.pageCount);
       }
     }
 
+    /**
+     * Match dots and the counter total to the carousel's pages.
+     *
+     * Dots beyond the page count are hidden, and deep-link dots point at the
+     * first slide of their page.
+     */
+    updatePages() {
+      if (!this.core.isCarousel) {
+        return;
+      }
+
+      const pageCount = this.core.getPageCount();
+      const deeplinkId = this.container.dataset.deeplinkId;
+
+      this.dots.forEach((dot, index) => {
+        dot.hidden = index >= pageCount;
+
+        if (deeplinkId && dot.hasAttribute('href')) {
+          dot.setAttribute('href', this.getSlideLink(deeplinkId, this.core.getPageSlideIndex(index + 1)));
+        }
+      });
+
+      this.updateDots(this.core.getCurrentPage());
+      this.updateSlideCounter(this.core.getCurrentPage(), pageCount);
+    }
+
     /**
      * Update dot navigation indicators.
      */
@@ -103,16 +445,26 @@
         const isActive = index + 1 === currentSlide;
         dot.classList.toggle('active', isActive);
         dot.setAttribute('aria-selected', isActive);
+
+        // Roving tab stop so the dots are a single Tab stop
+        dot.setAttribute('tabindex', isActive ? '0' : '-1');
       });
+
+      if (this.thumbnailStrip) {
+        this.scrollToActiveThumbnail();
+      }
     }
 
     /**
      * Update slide counter display.
      */
-    updateSlideCounter(currentSlide) {
+    updateSlideCounter(currentSlide, total = null) {
       if (this.currentSlideElement) {
         this.currentSlideElement.textContent = currentSlide;
       }
+      if (this.totalSlidesElement && total) {
+        this.totalSlidesElement.textContent = total;
+      }
     }
 
     /**
@@ -123,7 +475,7 @@
         this.playPauseButton.innerHTML = isPaused ? playIcon : pauseIcon;
         this.playPauseButton.setAttribute(
           'aria-label',
-          isPaused ? 'Play slideshow' : 'Pause slideshow'
+          isPaused ? Drupal.t('Play slideshow') : Drupal.t('Pause slideshow')
         );
       }
     }
@@ -144,6 +496,13 @@
         control.setAttribute('aria-disabled', !enabled);
       });
     }
+
+    /**
+     * Clean up navigation controls.
+     */
+    destroy() {
+      this.abortController.abort();
+    }
   }
 
   // Export to global namespace
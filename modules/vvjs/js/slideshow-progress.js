@@ -1,16 +1,18 @@
 /**
  * @file
- * IMMEDIATE FIX: Enhanced slideshow-progress.js that stops immediately
+ * Slideshow progress indicator.
  *
- * This version ensures progress stops instantly when pause is clicked,
- * matching the original behavior exactly.
+ * Shows how much of the current slide's time has passed, as a circular
+ * indicator, a ring around the play/pause button or a fill of the active
+ * dot. The indicator reads the core's slide clock on every animation frame,
+ * so it never drifts from auto-advance and stops as soon as the clock does.
  */
 
 ((Drupal) => {
   'use strict';
 
   /**
-   * Enhanced Progress indicator class with immediate stop.
+   * Progress indicator class.
    */
   class SlideshowProgress {
     constructor(container, slideshowCore) {
@@ -19,63 +21,79 @@
       this.progressBar = container.querySelector('.progressbar');
       this.showProgress = container.dataset.showSlideProgress === 'true';
 
-      // Progress state
-      this.progressIntervalId = null;
-      this.slideStartTime = Date.now();
+      // Configuration - 'indicator', 'play-button' or 'dots'
+      this.style = container.dataset.progressStyle || 'indicator';
+
+      // Progress state - elapsed time comes from the core's slide clock
+      this.frameId = null;
       this.isActive = false;
 
+      // Element showing the progress of the current slide (the dot changes
+      // with the slide)
+      this.progressElement = null;
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+
       this.init();
     }
 
     init() {
-      if (!this.showProgress || !this.progressBar) {
+      if (!this.showProgress) {
         return;
       }
 
-      this.setupProgressBar();
-      this.bindEvents();
-
-      // IMMEDIATE: Add direct pause listener to container for instant response
-      this.container.addEventListener('click', (e) => {
-        const playPauseButton = e.target.closest('.play-pause-button');
-        if (!playPauseButton) {
-          return;
-        }
+      // Styles without their control fall back to the indicator
+      if (!this.getProgressElement()) {
+        this.style = 'indicator';
+      }
+      if (!this.getProgressElement()) {
+        return;
+      }
 
-        // At this point, SlideshowCore.togglePause() has already run
-        // (Navigation handler fires on the button, then this runs on the container).
-        // So core.isPaused now reflects the *new* state:
-        //   - After a PAUSE click:  isPaused === true  → OK to force-stop
-        //   - After a PLAY click:   isPaused === false → DO NOT kill the new interval
-        if (this.core.isPaused) {
-          this.immediateStop();
-        }
-      });
+      if (this.progressBar) {
+        this.setupProgressBar();
+      }
 
+      this.container.classList.add(`vvjs-progress-${this.style}`);
+      this.bindEvents();
 
-      // IMMEDIATE: Add direct mouse event listeners for instant hover response
-      const slideshow = this.container.querySelector('.vvjs-items');
-      if (slideshow) {
-        slideshow.addEventListener('mouseenter', () => {
-          this.immediateStop();
-        });
+      this.updateProgress();
+      if (this.core.isAutoSliding) {
+        this.resumeProgress();
+      }
+    }
 
-        slideshow.addEventListener('mouseleave', () => {
-          // Don't auto-resume - let the core handle this through events
-          // The progress will restart when the core starts auto-slide
-        });
+    /**
+     * Get the element that shows the progress.
+     *
+     * @return {HTMLElement|null}
+     *   The progress bar, the play/pause button or the active dot.
+     */
+    getProgressElement() {
+      switch (this.style) {
+        case 'play-button':
+          return this.container.querySelector('.play-pause-button');
+
+        // The dot of the slide being shown, which becomes active only once
+        // the transition ends
+        case 'dots':
+          return this.container.querySelectorAll('.dots-numbers-button')[this.core.getCurrentPage() - 1] || null;
+
+        default:
+          return this.progressBar;
       }
     }
 
     /**
-     * IMMEDIATE STOP - stops progress instantly
+     * Stop the animation frame loop, leaving the indicator where it is.
      */
     immediateStop() {
-      if (this.progressIntervalId) {
-        clearInterval(this.progressIntervalId);
-        this.progressIntervalId = null;
-        this.isActive = false;
+      if (this.frameId) {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
       }
+      this.isActive = false;
     }
 
     /**
@@ -86,133 +104,154 @@
       this.progressBar.setAttribute('aria-valuenow', '0');
       this.progressBar.setAttribute('aria-valuemin', '0');
       this.progressBar.setAttribute('aria-valuemax', '100');
-      this.progressBar.setAttribute('aria-label', 'Slide progress');
+      this.progressBar.setAttribute('aria-label', Drupal.t('Slide progress'));
     }
 
     /**
      * Bind event listeners.
      */
     bindEvents() {
+      const { signal } = this.abortController;
+
       // CRITICAL: Start progress WHEN slide starts changing (not after transition)
       // The slideTime includes the transition duration, so progress should count
       // from the moment the transition begins, not after it completes.
       this.container.addEventListener('vvjs:slideChanging', () => {
-        // Immediately stop the old progress
-        this.immediateStop();
-        
-        // Start new progress immediately (counts during transition)
-        if (!this.core.isPaused) {
-          this.startProgress();
+        // A new slide starts from zero, even while paused
+        this.resetProgress();
+
+        if (this.core.isAutoSliding) {
+          this.resumeProgress();
         }
-      });
-
-      // Listen for pause/play events
-      this.container.addEventListener('vvjs:pauseToggled', (e) => {
-        if (e.detail.isPaused) {
-          this.immediateStop(); // Use immediate stop
-        } else {
-          this.startProgress();
+      }, { signal });
+
+      // A removed active slide hands over to a new one with a fresh clock
+      this.container.addEventListener('vvjs:slidesUpdated', (e) => {
+        if (e.detail.activeSlideChanged) {
+          this.resetProgress();
+          if (this.core.isAutoSliding) {
+            this.resumeProgress();
+          }
         }
-      });
+      }, { signal });
 
-      // IMMEDIATE: Listen for auto-slide events (mouse hover, visibility changes)
+      // Pause, hover and visibility all stop the slide clock
       this.container.addEventListener('vvjs:autoSlideStopped', () => {
-        this.immediateStop();
-      });
+        this.pauseProgress();
+      }, { signal });
 
+      // Auto-advance resumes the slide's clock, so the indicator continues too
       this.container.addEventListener('vvjs:autoSlideStarted', () => {
-        if (!this.core.isPaused) {
-          this.startProgress();
+        this.resumeProgress();
+      }, { signal });
+
+      // A new slideTime changes how far along a paused slide is; without
+      // one the indicator has nothing to show
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        if (!('slideTime' in e.detail.config)) {
+          return;
         }
-      });
 
-      // Listen for mouse events for additional responsiveness
-      this.container.addEventListener('vvjs:mouseEnter', () => {
-        this.immediateStop();
-      });
+        const indicator = this.progressBar?.closest('.echo-animation');
+        if (indicator) {
+          indicator.style.display = this.core.slideTime > 0 ? '' : 'none';
+        }
 
-      this.container.addEventListener('vvjs:mouseLeave', () => {
-        // Progress will restart via autoSlideStarted event
-      });
+        if (!this.isActive) {
+          this.updateProgress();
+        }
+      }, { signal });
     }
 
     /**
-     * Start progress bar animation.
+     * Start progress from zero.
      */
     startProgress() {
-      if (!this.showProgress || !this.progressBar || this.core.slideTime <= 0) {
-        return;
-      }
+      this.resetProgress();
+      this.resumeProgress();
+    }
 
-      this.immediateStop(); // Ensure clean start
-      this.slideStartTime = Date.now();
-      this.isActive = true;
+    /**
+     * Show the core's elapsed time for the current slide.
+     */
+    updateProgress() {
+      const duration = this.core.getSlideDuration();
+      const progress = duration > 0
+        ? Math.min(100, (this.core.getSlideElapsed() / duration) * 100)
+        : 0;
 
-      this.progressIntervalId = setInterval(() => {
-        if (this.isActive && !this.core.isPaused) {
-          this.updateProgress();
-        } else {
-          this.immediateStop();
-        }
-      }, 50);
+      this.setProgress(progress);
     }
 
     /**
-     * Update progress bar based on elapsed time.
+     * Set the indicator to a percentage.
+     *
+     * @param {number} progress
+     *   Progress of the current slide, 0 to 100.
      */
-    updateProgress() {
-      if (!this.isActive) return;
+    setProgress(progress) {
+      if (!this.showProgress) {
+        return;
+      }
 
-      const elapsed = Date.now() - this.slideStartTime;
-      const progress = Math.min(100, (elapsed / this.core.slideTime) * 100);
+      const element = this.getProgressElement();
 
-      // Update CSS custom property for styling
-      this.progressBar.style.setProperty('--progress', `${progress}%`);
+      // The fill stays on the dot of the slide it was shown for
+      if (this.progressElement && this.progressElement !== element) {
+        this.progressElement.style.removeProperty('--progress');
+      }
+      this.progressElement = element;
 
-      // Update ARIA attributes
-      this.progressBar.setAttribute('aria-valuenow', Math.round(progress));
+      if (!element) {
+        return;
+      }
 
-      // Clear interval when complete
-      if (progress >= 100) {
-        this.immediateStop();
+      element.style.setProperty('--progress', `${progress.toFixed(2)}%`);
+
+      // The percentage shown by the indicator comes from aria-valuenow
+      if (element === this.progressBar) {
+        const value = String(Math.round(progress));
+        if (this.progressBar.getAttribute('aria-valuenow') !== value) {
+          this.progressBar.setAttribute('aria-valuenow', value);
+        }
       }
     }
 
     /**
-     * Pause progress animation - IMMEDIATE.
+     * Pause progress - IMMEDIATE.
+     *
+     * Leaves the indicator at the core's elapsed time so it can resume from
+     * there.
      */
     pauseProgress() {
       this.immediateStop();
+      this.updateProgress();
     }
 
     /**
-     * Resume progress animation from current position.
+     * Follow the slide clock on every frame until it stops.
      */
     resumeProgress() {
-      if (!this.core.isPaused && this.showProgress) {
-        // Calculate remaining time based on current progress
-        const currentProgress = parseFloat(this.progressBar.getAttribute('aria-valuenow') || '0');
-
-        if (currentProgress < 100) {
-          const remainingTime = this.core.slideTime * (1 - currentProgress / 100);
-
-          // Adjust start time to account for progress already made
-          this.slideStartTime = Date.now() - (this.core.slideTime - remainingTime);
-          this.isActive = true;
-
-          this.progressIntervalId = setInterval(() => {
-            if (this.isActive && !this.core.isPaused) {
-              this.updateProgress();
-            } else {
-              this.immediateStop();
-            }
-          }, 50);
-        }
+      if (!this.showProgress || !this.getProgressElement() || this.core.slideTime <= 0 || this.core.isPaused) {
+        return;
       }
+
+      this.immediateStop(); // Ensure a single loop
+      this.isActive = true;
+
+      const tick = () => {
+        this.updateProgress();
+
+        this.frameId = this.isActive && this.core.isAutoSliding
+          ? requestAnimationFrame(tick)
+          : null;
+      };
+
+      tick();
     }
 
     /**
-     * Clear progress interval - alias for immediateStop.
+     * Stop following the slide clock - alias for immediateStop.
      */
     clearProgress() {
       this.immediateStop();
@@ -223,28 +262,31 @@
      */
     resetProgress() {
       this.immediateStop();
-      if (this.progressBar) {
-        this.progressBar.style.setProperty('--progress', '0%');
-        this.progressBar.setAttribute('aria-valuenow', '0');
-      }
+      this.setProgress(0);
     }
 
     /**
      * Get current progress as percentage.
      */
     getCurrentProgress() {
-      if (!this.progressBar) {
+      if (!this.progressElement) {
         return 0;
       }
 
-      return parseFloat(this.progressBar.getAttribute('aria-valuenow') || '0');
+      return parseFloat(this.progressElement.style.getPropertyValue('--progress') || '0');
     }
 
     /**
      * Cleanup when slideshow is destroyed.
      */
     destroy() {
+      this.abortController.abort();
       this.immediateStop();
+
+      if (this.progressElement) {
+        this.progressElement.style.removeProperty('--progress');
+      }
+      this.container.classList.remove(`vvjs-progress-${this.style}`);
     }
   }
 
@@ -0,0 +1,241 @@
+/**
+ * @file
+ * Slideshow synchronization.
+ *
+ * Links two slideshows so that changing the slide in one changes it in the
+ * other, for example a large photo slideshow and a caption slideshow. The
+ * partner is found by its deep link identifier.
+ *
+ * Filename:     slideshow-sync.js
+ * Website:      https://www.flashwebcenter.com
+ * Developer:    Alaa Haddad https://www.alaahaddad.com.
+ */
+
+((Drupal) => {
+  'use strict';
+
+  /**
+   * Built-in slide mappings.
+   *
+   * Each mapping receives the 1-based slide index in the slideshow that
+   * changed and the slide count of both slideshows, and returns the 1-based
+   * slide index for the other slideshow.
+   *
+   * @type {Object<string, Function>}
+   */
+  const mappings = {
+    // Slide N shows slide N, wrapping around when the other has fewer slides
+    index: (slideIndex, fromTotal, toTotal) => ((slideIndex - 1) % toTotal) + 1,
+
+    // Slides are spread evenly, e.g. slides 1-2 of 10 show slide 1 of 5
+    proportional: (slideIndex, fromTotal, toTotal) =>
+      Math.min(toTotal, Math.floor(((slideIndex - 1) * toTotal) / fromTotal) + 1),
+  };
+
+  /**
+   * Active links, so a pair is only linked once.
+   *
+   * @type {Set<Object>}
+   */
+  const links = new Set();
+
+  /**
+   * Find a linked pair of containers.
+   */
+  function findLink(first, second) {
+    return Array.from(links).find((link) =>
+      (link.first === first && link.second === second)
+      || (link.first === second && link.second === first)
+    ) || null;
+  }
+
+  /**
+   * Find a slideshow container by deep link identifier or element.
+   */
+  function findContainer(identifier) {
+    if (identifier instanceof HTMLElement) {
+      return identifier;
+    }
+
+    return typeof identifier === 'string' && identifier
+      ? document.querySelector(`.vvjs-inner[data-deeplink-id="${identifier}"]`)
+      : null;
+  }
+
+  /**
+   * Link two slideshows.
+   *
+   * Each slideshow follows the other. A slide change made by the link is not
+   * sent back, so the two slideshows never drive each other in a loop.
+   *
+   * @param {HTMLElement} first
+   *   The first slideshow container. When the link is made it drives the
+   *   second one to match its current slide.
+   * @param {HTMLElement} second
+   *   The second slideshow container.
+   * @param {string|Function} mapping
+   *   'index', 'proportional' or a function(slideIndex, fromTotal, toTotal)
+   *   returning the slide index to show in the other slideshow.
+   * @param {AbortSignal} signal
+   *   Optional signal that unlinks the slideshows when aborted.
+   *
+   * @return {Function|null}
+   *   Function that unlinks the slideshows, or null if they could not be
+   *   linked.
+   */
+  function link(first, second, mapping, signal) {
+    if (!first || !second || first === second || findLink(first, second)) {
+      return null;
+    }
+
+    const map = typeof mapping === 'function' ? mapping : (mappings[mapping] || mappings.index);
+    const controller = new AbortController();
+    const entry = { first, second };
+
+    // Slide index each slideshow is expected to report after the link moved it
+    const pending = new Map();
+
+    const getCore = (container) => (container.vvjsModules ? container.vvjsModules.core : null);
+
+    const follow = (from, to, slideIndex) => {
+      const fromCore = getCore(from);
+      const toCore = getCore(to);
+      if (!fromCore || !toCore || !toCore.totalSlides) {
+        return;
+      }
+
+      const mapped = Math.round(Number(map(slideIndex, fromCore.totalSlides, toCore.totalSlides)));
+      if (!(mapped >= 1 && mapped <= toCore.totalSlides)) {
+        return;
+      }
+
+      // Carousels stop at the last full page
+      const target = Math.min(mapped, toCore.getMaxIndex());
+      if (target === toCore.slideIndex) {
+        return;
+      }
+
+      pending.set(to, target);
+      toCore.goToSlide(target);
+      toCore.startAutoSlide();
+    };
+
+    const listen = (from, to) => {
+      from.addEventListener('vvjs:slideChanged', (e) => {
+        const expected = pending.get(from);
+        pending.delete(from);
+
+        // This change was made by the link; do not send it back
+        if (expected === e.detail.slideIndex) {
+          return;
+        }
+
+        follow(from, to, e.detail.slideIndex);
+      }, { signal: controller.signal });
+    };
+
+    listen(first, second);
+    listen(second, first);
+
+    // Catch up when the second slideshow initializes after the link is made
+    second.addEventListener('vvjs:initialized', () => {
+      const firstCore = getCore(first);
+      if (firstCore) {
+        follow(first, second, firstCore.slideIndex);
+      }
+    }, { signal: controller.signal });
+
+    const unlink = () => {
+      controller.abort();
+      pending.clear();
+      links.delete(entry);
+    };
+
+    links.add(entry);
+    if (signal) {
+      signal.addEventListener('abort', unlink, { once: true });
+    }
+
+    // Start in step with the first slideshow
+    const firstCore = getCore(first);
+    if (firstCore) {
+      follow(first, second, firstCore.slideIndex);
+    }
+
+    return unlink;
+  }
+
+  /**
+   * Synchronization manager class.
+   *
+   * Links the slideshow to the one named in its data-sync-with attribute.
+   * The link is bidirectional, so only one of the two slideshows needs the
+   * setting.
+   */
+  class SlideshowSync {
+    constructor(container, slideshowCore) {
+      this.container = container;
+      this.core = slideshowCore;
+
+      this.syncWith = container.dataset.syncWith || '';
+      this.mapping = container.dataset.syncMapping || 'index';
+
+      // Aborted in destroy() to remove the link and its listeners
+      this.abortController = new AbortController();
+
+      this.init();
+    }
+
+    init() {
+      if (!this.syncWith) {
+        return;
+      }
+
+      const partner = findContainer(this.syncWith);
+      if (!partner) {
+        console.warn(`VVJS: Slideshow "${this.syncWith}" to sync with not found`);
+        return;
+      }
+
+      // The partner starts on the slide matching this slideshow
+      link(this.container, partner, this.mapping, this.abortController.signal);
+    }
+
+    /**
+     * Remove the link.
+     */
+    destroy() {
+      this.abortController.abort();
+    }
+  }
+
+  // Export to global namespace
+  Drupal.vvjs = Drupal.vvjs || {};
+  Drupal.vvjs.SlideshowSync = SlideshowSync;
+
+  /**
+   * Link two slideshows so each one follows the other.
+   *
+   * @param {string|HTMLElement} first
+   *   Deep link identifier or container of the slideshow to follow first.
+   * @param {string|HTMLElement} second
+   *   Deep link identifier or container of the other slideshow.
+   * @param {string|Function} mapping
+   *   'index' (default), 'proportional' or a function(slideIndex, fromTotal,
+   *   toTotal) returning the 1-based slide index for the other slideshow.
+   *
+   * @return {Function|null}
+   *   Function that unlinks the slideshows, or null if either was not found
+   *   or they are already linked.
+   *
+   * @example
+   * // Three photos per caption
+   * const unlink = Drupal.vvjs.sync('captions', 'photos', (index, from, to) =>
+   *   from < to ? (index - 1) * 3 + 1 : Math.ceil(index / 3)
+   * );
+   */
+  Drupal.vvjs.sync = function(first, second, mapping = 'index') {
+    return link(findContainer(first), findContainer(second), mapping);
+  };
+
+})(Drupal);
@@ -2,7 +2,8 @@
  * @file
  * Slideshow transition effects module.
  *
- * Handles slide transitions including instant and crossfade variants.
+ * Handles slide transitions including instant, crossfade variants, the
+ * horizontal slide and the multi-slide carousel track.
  * Uses CSS-based transitions for GPU acceleration and themability.
  */
 
@@ -34,10 +35,19 @@
       this.transitionType = container.dataset.transition || 'instant';
       this.transitionDuration = parseInt(container.dataset.transitionDuration, 10) || 600;
       this.isHeroMode = container.classList.contains('hero-slideshow');
+      this.isRtl = window.getComputedStyle(container).direction === 'rtl';
+      this.isVertical = slideshowCore.isVertical;
 
       // Active transition tracking for cleanup
       this.activeTransition = null;
 
+      // Live drag state while a slide follows the finger
+      this.drag = null;
+      this.releaseVelocity = 0;
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+
       // Debugging flag (set to false in production)
       this.debug = false;
 
@@ -69,15 +79,26 @@
      * Set up initial slide positioning based on transition type.
      */
     setupSlides() {
+      // Clear inline state left over from a previous transition type
+      this.resetSlides();
+
+      // Carousel mode: CSS lays out the track, only its position is set here
+      if (this.core.isCarousel) {
+        this.setCarouselPosition();
+        return;
+      }
+
       // Instant mode uses existing display:none logic - no changes needed
       if (this.transitionType === 'instant') {
         return;
       }
 
+      const activeIndex = this.core.slideIndex - 1;
+
       // Crossfade modes: position all slides absolutely, set initial states
       if (this.transitionType.startsWith('crossfade')) {
         this.slides.forEach((slide, index) => {
-          const isActive = index === 0;
+          const isActive = index === activeIndex;
 
           // Set initial opacity and z-index
           slide.style.opacity = isActive ? '1' : '0';
@@ -88,16 +109,122 @@
           slide.classList.toggle('vvjs-previous', !isActive);
         });
       }
+
+      // Slide mode: active slide in view, all others parked off to the side
+      if (this.transitionType === 'slide') {
+        this.slides.forEach((slide, index) => {
+          const isActive = index === activeIndex;
+
+          slide.style.transform = isActive ? this.translate('0') : this.translate(`${this.getDirectionSign('next') * 100}%`);
+          slide.style.zIndex = isActive ? '2' : '1';
+
+          slide.classList.toggle('vvjs-active', isActive);
+          slide.classList.toggle('vvjs-previous', !isActive);
+        });
+      }
+    }
+
+    /**
+     * Remove inline transition state from all slides.
+     */
+    resetSlides() {
+      this.slides.forEach((slide) => {
+        slide.classList.remove('vvjs-active', 'vvjs-previous');
+        slide.style.opacity = '';
+        slide.style.zIndex = '';
+        slide.style.transform = '';
+        slide.style.transition = '';
+        slide.style.transitionDuration = '';
+      });
+
+      ['--vvjs-offset', '--vvjs-offset-y', '--vvjs-drag', '--vvjs-release-duration'].forEach((property) => {
+        this.slideshow.style.removeProperty(property);
+      });
+      this.container.classList.remove('vvjs-dragging');
+      this.drag = null;
+    }
+
+    /**
+     * Set the carousel track position and visible slide count.
+     */
+    setCarouselPosition() {
+      this.slideshow.style.setProperty('--vvjs-per-view', this.core.slidesPerView);
+      this.slideshow.style.setProperty('--vvjs-offset', this.core.slideIndex - 1);
+
+      // Stacked slides can differ in height, so the offset is measured
+      if (this.isVertical) {
+        const first = this.slides[0];
+        const target = this.slides[this.core.slideIndex - 1];
+        const offset = first && target ? target.offsetTop - first.offsetTop : 0;
+        this.slideshow.style.setProperty('--vvjs-offset-y', `${offset}px`);
+      }
+    }
+
+    /**
+     * Build a transform that moves a slide along the orientation.
+     *
+     * @param {string} distance
+     *   A CSS length, e.g. '100%' or '-40px'.
+     *
+     * @return {string}
+     *   A translateX() or translateY() value.
+     */
+    translate(distance) {
+      return this.isVertical ? `translateY(${distance})` : `translateX(${distance})`;
     }
 
     /**
      * Bind event listeners.
      */
     bindEvents() {
+      const { signal } = this.abortController;
+
       // Listen for slide changes from core
       this.container.addEventListener('vvjs:slideChanging', (e) => {
-        this.performTransition(e.detail.fromIndex, e.detail.toIndex);
-      });
+        this.performTransition(e.detail.fromIndex, e.detail.toIndex, e.detail.direction);
+      }, { signal });
+
+      // Let the active slide follow touch drags
+      this.container.addEventListener('vvjs:dragMove', (e) => {
+        this.applyDragOffset(e.detail.offset);
+      }, { signal });
+
+      this.container.addEventListener('vvjs:dragEnd', (e) => {
+        if (e.detail.committed) {
+          // Picked up by the transition that the navigation triggers next
+          this.releaseVelocity = e.detail.velocity;
+        }
+        else {
+          this.snapBack();
+        }
+      }, { signal });
+
+      // Position slides added or removed at runtime
+      this.container.addEventListener('vvjs:slidesUpdated', () => {
+        this.cleanupActiveTransition();
+        this.resetSlides();
+        this.slides = this.core.slides;
+        this.setupSlides();
+      }, { signal });
+
+      // Re-lay out the carousel track when a breakpoint changes the count
+      this.container.addEventListener('vvjs:slidesPerViewChanged', () => {
+        this.cleanupActiveTransition();
+        this.setCarouselPosition();
+      }, { signal });
+
+      // Switch transition type or duration at runtime
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        const { transitionType, transitionDuration } = e.detail.config;
+        if (transitionType === undefined && transitionDuration === undefined) {
+          return;
+        }
+
+        this.updateConfig(
+          transitionType ?? this.originalTransitionType ?? this.transitionType,
+          parseInt(transitionDuration, 10) || this.transitionDuration
+        );
+      }, { signal });
 
       // Listen for reduced motion preference changes
       const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
@@ -105,7 +232,7 @@
         if (e.matches) {
           this.handleReducedMotion();
         }
-      });
+      }, { signal });
 
       // Initial reduced motion check
       if (reducedMotionQuery.matches) {
@@ -120,8 +247,10 @@
      *   The index of the outgoing slide (1-based).
      * @param {number} toIndex
      *   The index of the incoming slide (1-based).
+     * @param {string} direction
+     *   The direction of travel (next|prev), used by directional transitions.
      */
-    performTransition(fromIndex, toIndex) {
+    performTransition(fromIndex, toIndex, direction = 'next') {
       // Clean up any active transition
       this.cleanupActiveTransition();
 
@@ -136,10 +265,22 @@
         console.log('[VVJS Transitions] Transitioning', {
           from: fromIndex,
           to: toIndex,
+          direction,
           type: this.transitionType,
         });
       }
 
+      // Carousel mode moves the whole track regardless of transition type
+      if (this.core.isCarousel) {
+        this.transitionCarousel(fromIndex, toIndex);
+        return;
+      }
+
+      // Only the slide transition continues from the dragged position
+      if (this.drag && this.transitionType !== 'slide') {
+        this.clearDragOffset();
+      }
+
       // Route to appropriate transition method
       if (this.transitionType === 'instant') {
         this.transitionInstant(outgoing, incoming);
@@ -153,6 +294,9 @@
       else if (this.transitionType === 'crossfade-dynamic') {
         this.transitionCrossfadeDynamic(outgoing, incoming);
       }
+      else if (this.transitionType === 'slide') {
+        this.transitionSlide(outgoing, incoming, direction);
+      }
       else {
         // Fallback to instant
         this.transitionInstant(outgoing, incoming);
@@ -209,6 +353,295 @@
       this.applyCrossfadeTransition(outgoing, incoming, 'dynamic');
     }
 
+    /**
+     * Slide: outgoing moves out while incoming moves in from the direction
+     * of travel.
+     *
+     * @param {HTMLElement|null} outgoing
+     *   The outgoing slide element.
+     * @param {HTMLElement} incoming
+     *   The incoming slide element.
+     * @param {string} direction
+     *   The direction of travel (next|prev).
+     */
+    transitionSlide(outgoing, incoming, direction) {
+      const drag = this.drag;
+      this.drag = null;
+
+      // Nothing to move when re-selecting the current slide
+      if (outgoing === incoming) {
+        this.snapBack(drag);
+        this.onTransitionComplete();
+        return;
+      }
+
+      // A dragged neighbour keeps entering from the side the finger revealed
+      const sign = drag && drag.neighbor === incoming ? drag.side : this.getDirectionSign(direction);
+      let duration = this.transitionDuration;
+
+      if (drag && drag.neighbor === incoming) {
+        // Continue from where the finger let go, at the release speed
+        duration = this.getReleaseDuration(drag.offset);
+        [outgoing, incoming].forEach((slide) => {
+          if (slide) {
+            slide.style.transition = '';
+            slide.style.transitionDuration = `${duration}ms`;
+          }
+        });
+      }
+      else {
+        if (drag?.neighbor) {
+          this.parkSlide(drag.neighbor);
+        }
+        if (outgoing) {
+          outgoing.style.transition = '';
+        }
+
+        // Park the incoming slide on the side it enters from, without animating
+        incoming.style.transition = 'none';
+        incoming.style.transform = this.translate(`${sign * 100}%`);
+
+        // Force reflow so the parked position is committed before animating
+        void incoming.offsetWidth;
+        incoming.style.transition = '';
+      }
+      this.releaseVelocity = 0;
+
+      if (outgoing) {
+        outgoing.style.zIndex = '1';
+        outgoing.classList.remove('vvjs-active');
+        outgoing.classList.add('vvjs-previous');
+        outgoing.style.transform = this.translate(`${-sign * 100}%`);
+      }
+
+      incoming.style.zIndex = '2';
+      incoming.classList.remove('vvjs-previous');
+      incoming.classList.add('vvjs-active');
+      incoming.style.transform = this.translate('0');
+
+      this.setupTransitionCompletion(incoming, 'slide', 'transform', duration);
+    }
+
+    /**
+     * Carousel: scroll the track so the target slide is first in view.
+     *
+     * @param {number} fromIndex
+     *   The index of the first visible slide before the move (1-based).
+     * @param {number} toIndex
+     *   The index of the first visible slide after the move (1-based).
+     */
+    transitionCarousel(fromIndex, toIndex) {
+      const drag = this.drag;
+      this.drag = null;
+
+      let duration = this.transitionDuration;
+      if (drag) {
+        // Continue from where the finger let go, at the release speed
+        duration = this.getReleaseDuration(drag.offset);
+        this.slideshow.style.setProperty('--vvjs-release-duration', `${duration}ms`);
+        this.slideshow.style.removeProperty('--vvjs-drag');
+        this.container.classList.remove('vvjs-dragging');
+      }
+      this.releaseVelocity = 0;
+
+      this.setCarouselPosition();
+
+      // Nothing animates when the position is unchanged or motion is reduced
+      if (fromIndex === toIndex || this.container.classList.contains('reduced-motion')) {
+        this.onTransitionComplete();
+        return;
+      }
+
+      this.setupTransitionCompletion(this.slides[toIndex - 1], 'carousel', 'transform', duration);
+    }
+
+    /**
+     * Move the carousel track with a drag.
+     *
+     * @param {number} offset
+     *   Drag distance along the orientation in pixels since the pointer went down.
+     */
+    applyCarouselDrag(offset) {
+      const direction = offset < 0 ? 'next' : 'prev';
+      const atEdge = direction === 'next'
+        ? this.core.slideIndex >= this.core.getMaxIndex()
+        : this.core.slideIndex <= 1;
+
+      // Resist the drag where there is nothing to reveal
+      const distance = atEdge && !this.core.loopingEnabled ? offset / 3 : offset;
+
+      this.container.classList.add('vvjs-dragging');
+      this.slideshow.style.setProperty('--vvjs-drag', `${distance}px`);
+
+      this.drag = { direction, offset: distance };
+    }
+
+    /**
+     * Move the active slide (and, for slide mode, its neighbour) with a drag.
+     *
+     * @param {number} offset
+     *   Drag distance along the orientation in pixels since the pointer went down.
+     */
+    applyDragOffset(offset) {
+      const current = this.slides[this.core.slideIndex - 1];
+
+      // Leave running transitions alone; the release still navigates
+      if (!current || this.activeTransition) {
+        return;
+      }
+
+      if (this.core.isCarousel) {
+        this.applyCarouselDrag(offset);
+        return;
+      }
+
+      // Dragging left (or up) reveals the next slide, as swipes navigate the
+      // same way in right-to-left layouts
+      const direction = offset < 0 ? 'next' : 'prev';
+      const side = offset < 0 ? 1 : -1;
+      const target = this.getNeighborSlide(direction);
+      const neighbor = this.transitionType === 'slide' ? target : null;
+
+      // Resist the drag where there is nothing to reveal
+      const distance = target ? offset : offset / 3;
+
+      // Re-park the previous neighbour when the drag changes direction
+      if (this.drag?.neighbor && this.drag.neighbor !== neighbor) {
+        this.parkSlide(this.drag.neighbor);
+      }
+
+      current.style.transition = 'none';
+      current.style.transform = this.translate(`${distance}px`);
+
+      if (neighbor) {
+        neighbor.style.transition = 'none';
+        neighbor.style.transform = this.translate(`calc(${side * 100}% + ${distance}px)`);
+      }
+
+      this.drag = { current, neighbor, direction, side, offset: distance };
+    }
+
+    /**
+     * Animate a dragged slide back into place.
+     *
+     * @param {Object|null} drag
+     *   The drag state to release, defaults to the live drag.
+     */
+    snapBack(drag = this.drag) {
+      this.drag = null;
+      this.releaseVelocity = 0;
+
+      if (!drag) {
+        return;
+      }
+
+      if (this.core.isCarousel) {
+        // Removing the class re-enables the transition back to the offset
+        this.container.classList.remove('vvjs-dragging');
+        this.slideshow.style.removeProperty('--vvjs-drag');
+        return;
+      }
+
+      drag.current.style.transition = '';
+      drag.current.style.transform = this.transitionType === 'slide' ? this.translate('0') : '';
+
+      if (drag.neighbor) {
+        drag.neighbor.style.transition = '';
+        drag.neighbor.style.transform = this.translate(`${drag.side * 100}%`);
+      }
+    }
+
+    /**
+     * Drop the drag offset without animating it back.
+     */
+    clearDragOffset() {
+      if (this.drag) {
+        this.drag.current.style.transition = '';
+        this.drag.current.style.transform = '';
+      }
+
+      this.drag = null;
+      this.releaseVelocity = 0;
+    }
+
+    /**
+     * Park a slide off to the side without animating.
+     *
+     * @param {HTMLElement} slide
+     *   The slide element.
+     */
+    parkSlide(slide) {
+      slide.style.transition = 'none';
+      slide.style.transform = this.translate(`${this.getDirectionSign('next') * 100}%`);
+      void slide.offsetWidth;
+      slide.style.transition = '';
+    }
+
+    /**
+     * Get the slide next to the active one in a direction.
+     *
+     * @param {string} direction
+     *   The direction of travel (next|prev).
+     *
+     * @return {HTMLElement|null}
+     *   The neighbouring slide, or null at the end of a non-looping slideshow.
+     */
+    getNeighborSlide(direction) {
+      const total = this.slides.length;
+      let target = direction === 'next' ? this.core.slideIndex + 1 : this.core.slideIndex - 1;
+
+      if (target < 1 || target > total) {
+        if (!this.core.loopingEnabled || total < 2) {
+          return null;
+        }
+        target = target < 1 ? total : 1;
+      }
+
+      return this.slides[target - 1] || null;
+    }
+
+    /**
+     * Get the duration for finishing a released drag.
+     *
+     * Carries the flick velocity into the transition so a fast swipe
+     * finishes fast, bounded by the configured transition duration.
+     *
+     * @param {number} offset
+     *   Distance already travelled in pixels.
+     *
+     * @return {number}
+     *   Duration in milliseconds.
+     */
+    getReleaseDuration(offset) {
+      const width = (this.isVertical ? this.slideshow.offsetHeight : this.slideshow.offsetWidth) || 1;
+      const remaining = Math.max(0, width - Math.abs(offset));
+      const sameDirection = Math.sign(this.releaseVelocity) === Math.sign(offset);
+      const speed = sameDirection ? Math.abs(this.releaseVelocity) : 0;
+
+      const duration = speed > 0
+        ? remaining / speed
+        : this.transitionDuration * (remaining / width);
+
+      return Math.round(Math.max(150, Math.min(this.transitionDuration, duration)));
+    }
+
+    /**
+     * Get the sign along the orientation for a direction of travel.
+     *
+     * @param {string} direction
+     *   The direction of travel (next|prev).
+     *
+     * @return {number}
+     *   1 when the incoming slide enters from the right (or bottom), -1 from
+     *   the left (or top).
+     */
+    getDirectionSign(direction) {
+      const sign = direction === 'prev' ? -1 : 1;
+
+      // Reading order is mirrored in right-to-left layouts, but not top to bottom
+      return this.isRtl && !this.isVertical ? -sign : sign;
+    }
+
     /**
      * Apply crossfade transition with proper timing and cleanup.
      *
@@ -250,8 +683,12 @@
      *   The element to watch for transitionend.
      * @param {string} variant
      *   The transition variant for duration calculation.
+     * @param {string} propertyName
+     *   The CSS property whose transitionend marks completion.
+     * @param {number} duration
+     *   Base duration in milliseconds, defaults to the configured duration.
      */
-    setupTransitionCompletion(element, variant) {
+    setupTransitionCompletion(element, variant, propertyName = 'opacity', duration = this.transitionDuration) {
       let transitionEnded = false;
 
       const cleanup = () => {
@@ -269,18 +706,18 @@
       };
 
       // Calculate total duration based on variant
-      let totalDuration = this.transitionDuration;
+      let totalDuration = duration;
       if (variant === 'staged') {
         // Staged has overlap, so total time is longer
-        totalDuration = this.transitionDuration * 1.3;
+        totalDuration = duration * 1.3;
       }
 
       // Store transition data for cleanup
       this.activeTransition = {
         element,
         listener: (e) => {
-          // Only trigger on opacity transitions, not other properties
-          if (e.propertyName === 'opacity' && e.target === element) {
+          // Only trigger on the animated property, not other properties
+          if (e.propertyName === propertyName && e.target === element) {
             cleanup();
           }
         },
@@ -300,6 +737,16 @@
       // Clean up active transition tracking
       this.cleanupActiveTransition();
 
+      // Drop any release speed carried over from a drag
+      if (this.core.isCarousel) {
+        this.slideshow.style.removeProperty('--vvjs-release-duration');
+      }
+      else if (this.transitionType === 'slide') {
+        this.slides.forEach((slide) => {
+          slide.style.transitionDuration = '';
+        });
+      }
+
       // Dispatch completion event
       this.container.dispatchEvent(new CustomEvent('vvjs:transitionComplete', {
         detail: {
@@ -345,6 +792,12 @@
       // Switch to instant mode
       this.transitionType = 'instant';
       this.container.dataset.transition = 'instant';
+      this.setupSlides();
+
+      // Re-apply display:none logic now that instant mode is in charge
+      if (this.originalTransitionType !== 'instant') {
+        this.core.updateAccessibilityAttributes();
+      }
 
       // Add visual class for CSS
       this.container.classList.add('reduced-motion');
@@ -357,19 +810,47 @@
     /**
      * Update transition configuration.
      *
+     * Crossfade and slide need the vvjs/vvjs-transitions library, which is
+     * only attached when the view uses one of them.
+     *
      * @param {string} type
      *   New transition type.
      * @param {number} duration
      *   New transition duration in milliseconds.
      */
     updateConfig(type, duration) {
+      const wasInstant = this.core.isInstantTransition();
+
+      // Reduced motion stays instant, remembering the requested type
+      if (this.originalTransitionType) {
+        this.originalTransitionType = type;
+        type = 'instant';
+      }
+
+      this.cleanupActiveTransition();
       this.transitionType = type;
       this.transitionDuration = duration;
       this.container.dataset.transition = type;
       this.container.dataset.transitionDuration = duration;
+      this.slideshow.style.setProperty('--vvjs-transition-duration', `${duration}ms`);
+
+      const isInstant = this.core.isInstantTransition();
+
+      // Instant mode hides slides with display:none, which the others don't
+      if (wasInstant && !isInstant) {
+        this.slides.forEach((slide) => {
+          slide.style.display = '';
+        });
+      }
 
-      // Re-setup slides if switching between instant and crossfade
+      // Re-setup slides if switching between instant, crossfade and slide
       this.setupSlides();
+
+      // Hand slide visibility to the core or take it back
+      if (wasInstant !== isInstant) {
+        this.core.updateAccessibilityAttributes();
+        this.core.adjustHeight();
+      }
     }
 
     /**
@@ -391,14 +872,11 @@
      * Clean up when module is destroyed.
      */
     destroy() {
+      this.abortController.abort();
       this.cleanupActiveTransition();
 
       // Remove any added classes
-      this.slides.forEach((slide) => {
-        slide.classList.remove('vvjs-active', 'vvjs-previous');
-        slide.style.opacity = '';
-        slide.style.zIndex = '';
-      });
+      this.resetSlides();
 
       if (this.debug) {
         console.log('[VVJS Transitions] Destroyed');
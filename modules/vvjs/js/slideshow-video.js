@@ -0,0 +1,277 @@
+/**
+ * @file
+ * Slideshow video coordination.
+ *
+ * Plays <video> elements when their slide becomes visible and pauses them
+ * when it leaves. Video embeds (YouTube, Vimeo, Drupal oEmbed media) are
+ * stopped when their slide leaves. Optionally a slide waits for its video
+ * to end instead of the slide time before advancing.
+ *
+ * Filename:     slideshow-video.js
+ * Website:      https://www.flashwebcenter.com
+ * Developer:    Alaa Haddad https://www.alaahaddad.com.
+ */
+
+((Drupal) => {
+  'use strict';
+
+  /**
+   * Embedded players that cannot be paused from the page.
+   */
+  const EMBED_SELECTOR = 'iframe[src*="youtube"], iframe[src*="vimeo"], iframe[src*="/media/oembed"]';
+
+  /**
+   * Video manager class.
+   */
+  class SlideshowVideo {
+    constructor(container, slideshowCore) {
+      this.container = container;
+      this.core = slideshowCore;
+
+      // Configuration - read from data attributes
+      this.autoplay = container.dataset.videoAutoplay !== 'false';
+      this.waitForEnd = container.dataset.videoWaitForEnd === 'true';
+      this.isStatic = container.dataset.static === 'true';
+      this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+      // Slides currently in view, so only leaving slides are stopped
+      this.visibleSlides = [];
+
+      // Aborted when the slide that waits for its video changes
+      this.holdController = null;
+
+      // Aborted in destroy() to remove every listener this module adds
+      this.abortController = new AbortController();
+
+      this.init();
+    }
+
+    init() {
+      const { signal } = this.abortController;
+
+      // Start and stop videos as the slide starts changing
+      this.container.addEventListener('vvjs:slideChanging', (e) => {
+        this.activate(e.detail.toIndex);
+      }, { signal });
+
+      this.container.addEventListener('vvjs:slidesUpdated', (e) => {
+        if (e.detail.activeSlideChanged) {
+          this.activate(this.core.slideIndex);
+        }
+      }, { signal });
+
+      this.container.addEventListener('vvjs:slidesPerViewChanged', () => {
+        this.activate(this.core.slideIndex);
+      }, { signal });
+
+      // The play/pause button controls the videos too
+      this.container.addEventListener('vvjs:pauseToggled', () => {
+        this.updatePlayback();
+      }, { signal });
+
+      // Do not play videos nobody can see
+      this.container.addEventListener('vvjs:visibilityChanged', () => {
+        this.updatePlayback();
+      }, { signal });
+
+      // Options changed at runtime through VVJSSlideshow.updateConfig()
+      this.container.addEventListener('vvjs:configChanged', (e) => {
+        const { videoAutoplay, videoWaitForEnd } = e.detail.config;
+        if (videoAutoplay === undefined && videoWaitForEnd === undefined) {
+          return;
+        }
+
+        if (videoAutoplay !== undefined) {
+          this.autoplay = Boolean(videoAutoplay);
+        }
+        if (videoWaitForEnd !== undefined) {
+          this.waitForEnd = Boolean(videoWaitForEnd);
+        }
+
+        // Hand the slide back to its own clock; activate() holds it again
+        // while the video should still play to the end
+        if (this.holdController) {
+          this.holdController.abort();
+          this.holdController = null;
+          this.core.releaseSlide();
+        }
+        this.activate(this.core.slideIndex);
+      }, { signal });
+
+      this.activate(this.core.slideIndex);
+    }
+
+    /**
+     * Get the slides visible when the given slide is the first one shown.
+     */
+    getVisibleSlides(index) {
+      return Array.from(this.core.slides).slice(index - 1, index - 1 + this.core.slidesPerView);
+    }
+
+    /**
+     * Check whether videos should be playing now.
+     *
+     * Slideshows without auto-advance play videos unless the visitor prefers
+     * reduced motion; otherwise videos follow the play/pause state.
+     */
+    canPlay() {
+      if (!this.autoplay || !this.core.isVisible) {
+        return false;
+      }
+
+      return !this.core.isPaused || (this.isStatic && !this.reducedMotionQuery.matches);
+    }
+
+    /**
+     * Stop media on slides that left and start it on visible slides.
+     *
+     * @param {number} index
+     *   The first visible slide (1-based).
+     */
+    activate(index) {
+      const visible = this.getVisibleSlides(index);
+
+      this.visibleSlides
+        .filter((slide) => !visible.includes(slide))
+        .forEach((slide) => this.stopSlide(slide));
+
+      this.visibleSlides = visible;
+      this.holdForVideo(visible.length === 1 ? visible[0] : null);
+      this.updatePlayback();
+    }
+
+    /**
+     * Play or pause the videos on visible slides to match the slideshow.
+     */
+    updatePlayback() {
+      const play = this.canPlay();
+
+      this.visibleSlides.forEach((slide) => {
+        slide.querySelectorAll('video').forEach((video) => {
+          if (play) {
+            this.playVideo(video);
+          }
+          else if (!video.paused) {
+            video.pause();
+          }
+        });
+      });
+    }
+
+    /**
+     * Start a video.
+     *
+     * Browsers only start videos on their own when they are muted, so a
+     * blocked video is muted and started again.
+     */
+    playVideo(video) {
+      if (!video.paused && !video.ended) {
+        return;
+      }
+
+      const attempt = video.play();
+      if (!attempt || typeof attempt.catch !== 'function') {
+        return;
+      }
+
+      attempt.catch((error) => {
+        if (error.name === 'NotAllowedError' && !video.muted) {
+          video.muted = true;
+          video.play().catch(() => this.releaseVideo(video));
+        }
+        // AbortError means the video was paused again before it started
+        else if (error.name !== 'AbortError') {
+          this.releaseVideo(video);
+        }
+      });
+    }
+
+    /**
+     * Stop all media on a slide that is no longer visible.
+     */
+    stopSlide(slide) {
+      slide.querySelectorAll('video').forEach((video) => {
+        if (!video.paused) {
+          video.pause();
+        }
+      });
+
+      // Reloading the player is the only way to stop a cross-origin embed
+      slide.querySelectorAll(EMBED_SELECTOR).forEach((iframe) => {
+        const src = iframe.getAttribute('src');
+        if (src) {
+          iframe.setAttribute('src', src);
+        }
+      });
+    }
+
+    /**
+     * Let the slide wait for its video to end before advancing.
+     *
+     * Only applies when a single slide is visible and its first video does
+     * not loop. The progress bar follows the video while the slide waits.
+     *
+     * @param {HTMLElement|null} slide
+     *   The visible slide, or null when several slides are visible.
+     */
+    holdForVideo(slide) {
+      if (this.holdController) {
+        this.holdController.abort();
+        this.holdController = null;
+      }
+
+      const video = this.waitForEnd && slide ? slide.querySelector('video') : null;
+      if (!video || video.loop) {
+        return;
+      }
+
+      this.holdController = new AbortController();
+      const { signal } = this.holdController;
+
+      video.addEventListener('ended', () => {
+        this.core.releaseSlide(true);
+      }, { signal, once: true });
+
+      // A video that cannot play falls back to the slide time
+      video.addEventListener('error', () => {
+        this.releaseVideo(video);
+      }, { signal, once: true });
+
+      this.core.holdSlide({
+        getDuration: () => (Number.isFinite(video.duration) ? video.duration * 1000 : 0),
+        getElapsed: () => video.currentTime * 1000,
+      });
+    }
+
+    /**
+     * Stop waiting for a video that will not play.
+     */
+    releaseVideo(video) {
+      if (!this.holdController || this.visibleSlides[0]?.querySelector('video') !== video) {
+        return;
+      }
+
+      this.holdController.abort();
+      this.holdController = null;
+      this.core.releaseSlide();
+    }
+
+    /**
+     * Clean up video coordination.
+     */
+    destroy() {
+      this.abortController.abort();
+
+      if (this.holdController) {
+        this.holdController.abort();
+        this.holdController = null;
+        this.core.releaseSlide();
+      }
+    }
+  }
+
+  // Export to global namespace
+  Drupal.vvjs = Drupal.vvjs || {};
+  Drupal.vvjs.SlideshowVideo = SlideshowVideo;
+
+})(Drupal);
@@ -11,13 +11,17 @@
 
   /**
    * Debounce utility function.
+   *
+   * The returned function has a cancel() method that drops a pending call.
    */
   function debounce(func, delay) {
     let timer;
-    return function(...args) {
+    const debounced = function(...args) {
       clearTimeout(timer);
       timer = setTimeout(() => func.apply(this, args), delay);
     };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
   }
 
   /**
@@ -38,6 +42,10 @@
       this.scrollDebounceDelay = 200;
       this.resizeDebounceDelay = 200;
 
+      // Aborted in destroy() to remove every document/window listener
+      this.abortController = new AbortController();
+      this.debouncedHandlers = [];
+
       this.init();
     }
 
@@ -84,22 +92,26 @@
      * Set up event listeners for visibility-related events.
      */
     setupEventListeners() {
+      const { signal } = this.abortController;
+
       // Page visibility (tab switching)
       document.addEventListener('visibilitychange', () => {
         this.handlePageVisibilityChange();
-      });
+      }, { signal });
 
       // Window resize (debounced)
-      window.addEventListener('resize', debounce(() => {
+      window.addEventListener('resize', this.debounce(() => {
         this.handleResize();
-      }, this.resizeDebounceDelay));
+      }, this.resizeDebounceDelay), { signal });
+    }
 
-      // Scroll events (fallback and additional detection)
-      if (!this.intersectionObserver) {
-        document.addEventListener('scroll', debounce(() => {
-          this.handleScroll();
-        }, this.scrollDebounceDelay));
-      }
+    /**
+     * Create a debounced handler that is cancelled on destroy.
+     */
+    debounce(func, delay) {
+      const debounced = debounce(func, delay);
+      this.debouncedHandlers.push(debounced);
+      return debounced;
     }
 
     /**
@@ -217,14 +229,16 @@
       // More frequent checking for older browsers
       this.scrollDebounceDelay = 100;
 
-      document.addEventListener('scroll', debounce(() => {
+      const { signal } = this.abortController;
+
+      document.addEventListener('scroll', this.debounce(() => {
         this.handleScroll();
-      }, this.scrollDebounceDelay));
+      }, this.scrollDebounceDelay), { signal });
 
       // Also check on load
       window.addEventListener('load', () => {
         this.handleInitialVisibility();
-      });
+      }, { signal, once: true });
     }
 
     /**
@@ -236,8 +250,10 @@
         this.intersectionObserver = null;
       }
 
-      // Event listeners are automatically cleaned up when the element is removed
-      // but we could add explicit cleanup here if needed
+      // Document and window outlive the slideshow, so remove listeners explicitly
+      this.abortController.abort();
+      this.debouncedHandlers.forEach((handler) => handler.cancel());
+      this.debouncedHandlers = [];
     }
   }
 
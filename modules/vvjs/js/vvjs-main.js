@@ -12,6 +12,136 @@
 ((Drupal, drupalSettings, once) => {
   'use strict';
 
+  /**
+   * Registered slideshow modules keyed by name, in registration order.
+   *
+   * @type {Map<string, Object>}
+   */
+  const moduleRegistry = new Map();
+
+  /**
+   * Pending Drupal.vvjs.whenReady() calls, settled when their slideshow
+   * initializes or fails to, or when the page has loaded without it.
+   *
+   * @type {Set<Object>}
+   */
+  const readyRequests = new Set();
+
+  /**
+   * Query string parameter holding the slide of every deep-linked slideshow.
+   *
+   * @type {string}
+   */
+  const DEEPLINK_PARAM = 'vvjs';
+
+  /**
+   * Read the slides named in the URL's vvjs parameter.
+   *
+   * The parameter lists identifier:slide pairs, e.g. ?vvjs=hero:3,squad:7,
+   * where the slide is a number or a slide slug.
+   *
+   * @param {string} search
+   *   The query string, defaults to the current URL's.
+   *
+   * @return {Map<string, string>}
+   *   Slide key per deep link identifier, in URL order.
+   */
+  function readDeepLinks(search = window.location.search) {
+    const links = new Map();
+    const value = new URLSearchParams(search).get(DEEPLINK_PARAM) || '';
+
+    value.split(',').forEach((pair) => {
+      const separator = pair.indexOf(':');
+      if (separator > 0 && separator < pair.length - 1) {
+        links.set(pair.slice(0, separator), pair.slice(separator + 1));
+      }
+    });
+
+    return links;
+  }
+
+  /**
+   * Build the current URL with the given slides in the vvjs parameter.
+   *
+   * Identifiers and slugs only use lowercase letters, digits and hyphens, so
+   * the pairs are written as they are to keep the URL readable.
+   *
+   * @param {Map<string, string>} links
+   *   Slide key per deep link identifier.
+   * @param {string} hash
+   *   The hash to keep, including the #.
+   *
+   * @return {string}
+   *   The path, query string and hash.
+   */
+  function buildDeepLinkUrl(links, hash) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete(DEEPLINK_PARAM);
+
+    const value = Array.from(links, ([identifier, key]) => `${identifier}:${key}`).join(',');
+    const query = [params.toString(), value ? `${DEEPLINK_PARAM}=${value}` : '']
+      .filter(Boolean)
+      .join('&');
+
+    return `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+  }
+
+  /**
+   * Resolve the construction order of the registered modules.
+   *
+   * Modules are sorted by weight, then moved after every module they list
+   * in "requires" or "after". Modules whose requirements are not registered,
+   * or that depend on each other in a cycle, are left out.
+   *
+   * @return {Array<Object>}
+   *   Registry entries in construction order.
+   */
+  function resolveModuleOrder() {
+    const ordered = [];
+    const state = new Map();
+
+    const visit = (entry) => {
+      const status = state.get(entry.name);
+      if (status === 'done') {
+        return true;
+      }
+      if (status === 'skipped') {
+        return false;
+      }
+      if (status === 'visiting') {
+        console.warn(`VVJS: Circular module dependency involving "${entry.name}"`);
+        return false;
+      }
+
+      state.set(entry.name, 'visiting');
+
+      const satisfied = entry.requires.every((name) =>
+        moduleRegistry.has(name) && visit(moduleRegistry.get(name))
+      );
+      if (!satisfied) {
+        state.set(entry.name, 'skipped');
+        console.warn(`VVJS: Skipping "${entry.name}" module, required module(s) not available: ${entry.requires.join(', ')}`);
+        return false;
+      }
+
+      // Soft ordering - only applies when the other module is registered
+      entry.after
+        .filter((name) => moduleRegistry.has(name))
+        .forEach((name) => visit(moduleRegistry.get(name)));
+
+      state.set(entry.name, 'done');
+      ordered.push(entry);
+      return true;
+    };
+
+    // Array.prototype.sort is stable, so equal weights keep registration order
+    Array.from(moduleRegistry.values())
+      .sort((a, b) => a.weight - b.weight)
+      .forEach(visit);
+
+    return ordered;
+  }
+
   /**
    * Main slideshow orchestrator class.
    */
@@ -30,67 +160,49 @@
     }
 
     /**
-     * Validate that all required modules are loaded.
+     * Validate that the core module is registered.
+     *
+     * Other modules are optional; a module whose requirements are missing is
+     * skipped instead of failing the whole slideshow.
      */
     validateDependencies() {
-      const requiredModules = [
-        'SlideshowCore',
-        'SlideshowTransitions',
-        'SlideshowNavigation',
-        'SlideshowAccessibility',
-        'SlideshowProgress',
-        'SlideshowVisibility',
-        'SlideshowEvents'
-      ];
-
-      return requiredModules.every(module =>
-        Drupal.vvjs && typeof Drupal.vvjs[module] === 'function'
-      );
+      return moduleRegistry.has('core');
     }
 
     /**
-     * Initialize all slideshow modules.
+     * Initialize all registered slideshow modules.
      */
     init() {
       try {
-        // Initialize core first
-        this.modules.core = new Drupal.vvjs.SlideshowCore(this.container);
-
-        // Initialize transitions module second (handles visual transitions)
-        this.modules.transitions = new Drupal.vvjs.SlideshowTransitions(
-          this.container,
-          this.modules.core
-        );
-
-        // Initialize dependent modules
-        this.modules.navigation = new Drupal.vvjs.SlideshowNavigation(
-          this.container,
-          this.modules.core
-        );
-
-        this.modules.accessibility = new Drupal.vvjs.SlideshowAccessibility(
-          this.container,
-          this.modules.core
-        );
-
-        this.modules.progress = new Drupal.vvjs.SlideshowProgress(
-          this.container,
-          this.modules.core
-        );
-
-        this.modules.visibility = new Drupal.vvjs.SlideshowVisibility(
-          this.container,
-          this.modules.core
-        );
-
-        this.modules.events = new Drupal.vvjs.SlideshowEvents(
-          this.container,
-          this.modules.core
-        );
+        // Listeners the slideshow adds outside its modules; aborted in destroy()
+        this.abortController = new AbortController();
 
         // IMPORTANT: Store module references on container for cross-module communication
+        // Set up front so modules can reach the ones constructed before them
         this.container.vvjsModules = this.modules;
 
+        // Construct modules in dependency order; core always comes first
+        resolveModuleOrder().forEach(({ name, moduleClass: ModuleClass, requires }) => {
+          const missing = requires.filter((requirement) => !this.modules[requirement]);
+          if (missing.length) {
+            console.warn(`VVJS: Skipping "${name}" module, required module(s) not initialized: ${missing.join(', ')}`);
+            return;
+          }
+
+          try {
+            this.modules[name] = new ModuleClass(this.container, this.modules.core, this);
+          } catch (error) {
+            // Without core there is no slideshow to run
+            if (name === 'core') {
+              throw error;
+            }
+            console.error(`VVJS: Error initializing ${name} module:`, error);
+          }
+        });
+
+        // Apply the options of the breakpoints the viewport already matches
+        this.initializeBreakpoints();
+
         // Initialize deep linking if enabled - may activate a slide from URL
         const deepLinkActivated = this.initializeDeepLinking();
 
@@ -105,6 +217,9 @@
           detail: { slideshow: this }
         }));
 
+        takeReadyRequests((container) => container === this.container)
+          .forEach((request) => request.resolve(this));
+
       } catch (error) {
         console.error('VVJS: Initialization error', error);
         this.handleInitializationError(error);
@@ -126,6 +241,9 @@
 
       // Log error for debugging
       console.error('VVJS initialization failed:', error);
+
+      takeReadyRequests((container) => container === this.container)
+        .forEach((request) => request.reject(error));
     }
 
     /**
@@ -173,8 +291,15 @@
         }
       });
 
+      // Remove window and container listeners added outside the modules
+      if (this.abortController) {
+        this.abortController.abort();
+        this.abortController = null;
+      }
+
       // Clear modules
       this.modules = {};
+      delete this.container.vvjsModules;
 
       // Remove classes
       this.container.classList.remove('vvjs-initialized', 'vvjs-error');
@@ -200,14 +325,66 @@
       };
     }
 
+    /**
+     * Add a slide without reinitializing.
+     *
+     * @param {HTMLElement} slide
+     *   A .vvjs-item element, or content to wrap in one.
+     * @param {number} position
+     *   Position of the new slide (1-based), defaults to the end.
+     *
+     * @return {HTMLElement|null}
+     *   The added .vvjs-item, or null on failure.
+     */
+    addSlide(slide, position) {
+      return this.modules.core ? this.modules.core.addSlide(slide, position) : null;
+    }
+
+    /**
+     * Remove a slide without reinitializing.
+     *
+     * @param {number|HTMLElement} slide
+     *   The slide index (1-based) or the .vvjs-item element.
+     *
+     * @return {boolean}
+     *   True if the slide was removed.
+     */
+    removeSlide(slide) {
+      return this.modules.core ? this.modules.core.removeSlide(slide) : false;
+    }
+
+    /**
+     * Pick up .vvjs-item elements added or removed outside the API.
+     */
+    refresh() {
+      if (this.modules.core) {
+        this.modules.core.refresh();
+      }
+    }
+
     /**
      * Update slideshow configuration.
+     *
+     * Each module applies the options it owns when vvjs:configChanged
+     * fires, without reinitializing. The core handles them first.
+     *
+     * @param {Object} config
+     *   The options to change:
+     *   - slideTime: Auto-advance time in milliseconds, 0 to stop.
+     *   - loopingEnabled, stopOnInteraction: Core behavior.
+     *   - heroMinHeight: Minimum height of a hero slideshow in vw.
+     *   - arrows: Arrow position class, or 'none' to hide the arrows.
+     *   - transitionType, transitionDuration: Transition between slides.
+     *   - swipeEnabled, pauseOnHover: Touch and mouse interaction.
+     *   - keyboardEnabled, keyboardPrimary: Keyboard control.
+     *   - kenBurns, kenBurnsZoom: Ken Burns direction and zoom.
+     *   - videoAutoplay, videoWaitForEnd: Video playback.
+     *
+     * @example
+     * slideshow.updateConfig({ slideTime: 0, transitionType: 'instant' });
      */
     updateConfig(config) {
       if (this.modules.core) {
-        // Update core configuration
-        Object.assign(this.modules.core, config);
-
         // Notify modules of configuration change
         this.container.dispatchEvent(new CustomEvent('vvjs:configChanged', {
           detail: { config }
@@ -215,67 +392,172 @@
       }
     }
 
+    /**
+     * Apply the options that change per breakpoint.
+     *
+     * data-breakpoint-config holds options keyed by minimum viewport width in
+     * pixels, with 0 holding the slideshow's own values. Whenever a
+     * breakpoint is crossed, every matching breakpoint is merged, widest
+     * last, and passed to updateConfig().
+     */
+    initializeBreakpoints() {
+      let breakpoints = {};
+      try {
+        breakpoints = JSON.parse(this.container.dataset.breakpointConfig || '{}');
+      }
+      catch (e) {
+        breakpoints = {};
+      }
+
+      const queries = Object.keys(breakpoints)
+        .map((breakpoint) => parseInt(breakpoint, 10))
+        .filter((breakpoint) => breakpoint > 0)
+        .sort((a, b) => a - b)
+        .map((breakpoint) => ({
+          // Match the rem-based breakpoints used by the responsive CSS files
+          query: window.matchMedia(`(min-width: ${breakpoint / 16}rem)`),
+          config: breakpoints[breakpoint],
+        }));
+
+      if (!queries.length) {
+        return;
+      }
+
+      const applyBreakpoints = () => {
+        const config = { ...breakpoints[0] };
+        queries.forEach(({ query, config: breakpointConfig }) => {
+          if (query.matches) {
+            Object.assign(config, breakpointConfig);
+          }
+        });
+
+        this.updateConfig(config);
+      };
+
+      // Removed again in destroy()
+      queries.forEach(({ query }) => {
+        query.addEventListener('change', applyBreakpoints, { signal: this.abortController.signal });
+      });
+
+      // The markup already holds the values below the first breakpoint
+      if (queries.some(({ query }) => query.matches)) {
+        applyBreakpoints();
+      }
+    }
+
     /**
      * Initialize deep linking functionality.
-     * 
-     * Checks URL hash on page load and navigates to the specified slide.
-     * Also sets up hash change listener for browser back/forward.
+     *
+     * Reads the slide from the URL on page load. Every deep-linked slideshow
+     * keeps its slide in one vvjs query parameter (?vvjs=hero:3,squad:7), so
+     * several slideshows can be linked at once. Hash links (#gallery-3) keep
+     * working. Slides are named by number or by their slug
+     * (zlatan-ibrahimovic). With data-deeplink-history, slides the visitor
+     * chooses get their own history entry, so Back and Forward move between
+     * them.
      */
     initializeDeepLinking() {
       const deeplinkEnabled = this.container.dataset.deeplinkEnabled === 'true';
       const deeplinkId = this.container.dataset.deeplinkId;
+      const useHistory = this.container.dataset.deeplinkHistory === 'true';
 
       if (!deeplinkEnabled || !deeplinkId) {
         return false;
       }
 
-      // Check URL hash on page load
-      let slideActivated = false;
-      const hash = window.location.hash;
-      
-      if (hash && hash.startsWith(`#${deeplinkId}-`)) {
-        const slideNumber = parseInt(hash.split('-').pop(), 10);
-        
-        if (slideNumber >= 1 && slideNumber <= this.modules.core.totalSlides) {
-          // Navigate to the slide from URL
-          this.modules.core.goToSlide(slideNumber);
-          slideActivated = true;
+      const core = this.modules.core;
+      const prefix = `#${deeplinkId}-`;
+      const initialSlide = core.slideIndex;
+
+      // Set while the slide follows the URL, so the URL is not written back
+      let isRestoring = false;
+
+      const getHashSlide = () => {
+        const hash = window.location.hash;
+        return hash.startsWith(prefix) ? core.getSlideIndexByKey(hash.slice(prefix.length)) : null;
+      };
+
+      // A hash link is newer than the query string when both name a slide
+      const getUrlSlide = () => {
+        const key = readDeepLinks().get(deeplinkId);
+        return getHashSlide() || (key ? core.getSlideIndexByKey(key) : null);
+      };
+
+      const showSlide = (slideNumber) => {
+        if (Math.min(slideNumber, core.getMaxIndex()) === core.slideIndex) {
+          return;
         }
-      }
 
-      // Set up hash change listener (only once per slideshow)
-      if (!this.container.vvjsHashChangeHandler) {
-        const hashChangeHandler = () => {
-          const currentHash = window.location.hash;
-          
-          // Only respond to hash changes for this specific slideshow
-          if (currentHash && currentHash.startsWith(`#${deeplinkId}-`)) {
-            const slideNumber = parseInt(currentHash.split('-').pop(), 10);
-            
-            if (slideNumber >= 1 && slideNumber <= this.modules.core.totalSlides) {
-              this.modules.core.goToSlide(slideNumber);
-              this.modules.core.startAutoSlide();
-            }
-          }
-        };
+        isRestoring = true;
+        try {
+          core.goToSlide(slideNumber);
+          core.handleUserNavigation();
+        }
+        finally {
+          isRestoring = false;
+        }
+      };
+
+      // Check URL on page load
+      let slideActivated = false;
+      const urlSlide = getUrlSlide();
 
-        this.container.vvjsHashChangeHandler = hashChangeHandler;
-        window.addEventListener('hashchange', hashChangeHandler);
+      if (urlSlide) {
+        // Navigate to the slide from URL
+        core.goToSlide(urlSlide);
+        slideActivated = true;
       }
 
-      // Listen for slide changes to update URL hash
-      this.container.addEventListener('vvjs:slideChanged', (e) => {
-        if (deeplinkEnabled && deeplinkId) {
-          const newHash = `#${deeplinkId}-${e.detail.slideIndex}`;
-          
+      const { signal } = this.abortController;
+
+      // Set up hash change listener - removed again in destroy()
+      window.addEventListener('hashchange', () => {
+        // Only respond to hash changes for this specific slideshow
+        const slideNumber = getHashSlide();
+        if (slideNumber) {
+          showSlide(slideNumber);
+        }
+      }, { signal });
+
+      // Back and Forward restore the slides in the entry's URL; an entry
+      // without this slideshow shows the slide it started on
+      window.addEventListener('popstate', () => {
+        showSlide(getUrlSlide() || initialSlide);
+      }, { signal });
+
+      // Update the URL as the slide starts changing; auto-advance never adds
+      // history entries
+      this.container.addEventListener('vvjs:slideChanging', (e) => {
+        if (isRestoring) {
+          return;
+        }
+
+        const key = core.getSlideKey(e.detail.toIndex);
+
+        if (!window.history || !window.history.replaceState) {
+          window.location.hash = `${prefix}${key}`;
+          return;
+        }
+
+        const links = readDeepLinks();
+        links.set(deeplinkId, key);
+
+        // A hash link to this slideshow would contradict the query string
+        const hash = window.location.hash.startsWith(prefix) ? '' : window.location.hash;
+        const url = buildDeepLinkUrl(links, hash);
+
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+          return;
+        }
+
+        if (useHistory && !e.detail.auto) {
+          window.history.pushState(null, '', url);
+        }
+        else {
           // Use replaceState to avoid cluttering browser history
-          if (window.history && window.history.replaceState) {
-            window.history.replaceState(null, '', newHash);
-          } else {
-            window.location.hash = newHash;
-          }
+          window.history.replaceState(window.history.state, '', url);
         }
-      });
+      }, { signal });
 
       return slideActivated;
     }
@@ -321,6 +603,9 @@
             delete container.vvjsSlideshow;
           }
         });
+
+        // Let attach() initialize the containers again if they are reused
+        once.remove('vvjSlideshow', slideshows);
       }
     }
   };
@@ -330,6 +615,113 @@
    */
   Drupal.vvjs = Drupal.vvjs || {};
 
+  /**
+   * Register a slideshow module.
+   *
+   * Every slideshow constructs its modules as
+   * `new moduleClass(container, core, slideshow)` and calls the optional
+   * destroy() method when it is destroyed. Modules talk to each other
+   * through vvjs:* events on the container; the instances are available as
+   * `slideshow.getModule(name)`.
+   *
+   * Register from a library that depends on vvjs/vvjs. Slideshows that are
+   * already running pick up new modules when they are reinitialized.
+   * Registering an existing name replaces that module.
+   *
+   * @param {string} name
+   *   Unique module name, used as the key in slideshow.getModule().
+   * @param {Function} moduleClass
+   *   The module class.
+   * @param {Object} options
+   *   Optional settings:
+   *   - weight: Lower weights are constructed first. Built-in modules use
+   *     -100 (core) to -20 (sync); the default is 0.
+   *   - requires: Names of modules that must be constructed first. The
+   *     module is skipped when any of them is missing or failed.
+   *   - after: Names of modules to construct first when they are present.
+   *
+   * @return {boolean}
+   *   True if the module was registered.
+   *
+   * @example
+   * class LiveScoreOverlay {
+   *   constructor(container, core) {
+   *     container.addEventListener('vvjs:slideChanged', (e) => { ... });
+   *   }
+   *   destroy() { ... }
+   * }
+   * Drupal.vvjs.registerModule('liveScore', LiveScoreOverlay, {
+   *   requires: ['navigation'],
+   * });
+   */
+  Drupal.vvjs.registerModule = function(name, moduleClass, options = {}) {
+    if (typeof name !== 'string' || !name || typeof moduleClass !== 'function') {
+      console.error(`VVJS: Module "${name}" could not be registered, a name and a class are required`);
+      return false;
+    }
+
+    const requires = Array.from(options.requires || []);
+
+    // Every module receives the core instance
+    if (name !== 'core' && !requires.includes('core')) {
+      requires.unshift('core');
+    }
+
+    moduleRegistry.set(name, {
+      name,
+      moduleClass,
+      weight: Number(options.weight) || 0,
+      requires,
+      after: Array.from(options.after || []),
+    });
+
+    return true;
+  };
+
+  /**
+   * Unregister a slideshow module.
+   *
+   * @param {string} name
+   *   The module name.
+   *
+   * @return {boolean}
+   *   True if the module was removed. The core module cannot be removed.
+   */
+  Drupal.vvjs.unregisterModule = function(name) {
+    if (name === 'core') {
+      return false;
+    }
+
+    return moduleRegistry.delete(name);
+  };
+
+  /**
+   * Get the names of the registered modules in construction order.
+   *
+   * @return {Array<string>}
+   *   Module names.
+   */
+  Drupal.vvjs.getRegisteredModules = function() {
+    return resolveModuleOrder().map((entry) => entry.name);
+  };
+
+  // Built-in modules, in the order they have always been constructed
+  [
+    ['core', 'SlideshowCore', -100],
+    ['transitions', 'SlideshowTransitions', -90],
+    ['lazyLoad', 'SlideshowLazyLoad', -80],
+    ['navigation', 'SlideshowNavigation', -70],
+    ['accessibility', 'SlideshowAccessibility', -60],
+    ['progress', 'SlideshowProgress', -50],
+    ['visibility', 'SlideshowVisibility', -40],
+    ['kenBurns', 'SlideshowKenBurns', -35],
+    ['events', 'SlideshowEvents', -30],
+    ['video', 'SlideshowVideo', -25],
+    ['sync', 'SlideshowSync', -20],
+  ].forEach(([name, className, weight]) => {
+    Drupal.vvjs.registerModule(name, Drupal.vvjs[className], { weight });
+  });
+
   /**
    * Get slideshow instance by container element or selector.
    */
@@ -382,13 +774,22 @@
 /**
    * Helper function to get slideshow container by identifier.
    *
-   * @param {string} identifier
-   *   The slideshow identifier (deeplink_identifier or CSS selector).
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier (deeplink_identifier or CSS selector), or the
+   *   container itself.
    *
    * @return {HTMLElement|null}
    *   The container element or null if not found.
    */
   function getContainerByIdentifier(identifier) {
+    if (identifier instanceof HTMLElement) {
+      return identifier;
+    }
+
+    if (typeof identifier !== 'string') {
+      return null;
+    }
+
     let container;
 
     // Try deep link identifier first (if not a CSS selector)
@@ -423,6 +824,96 @@
     return container.vvjsSlideshow.getModule('core');
   }
 
+  /**
+   * Change the slide and wait for the transition to finish.
+   *
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier or container.
+   * @param {Function} change
+   *   Changes the slide and returns whether the change was accepted.
+   *
+   * @return {Promise<boolean>}
+   *   Resolves with true after vvjs:transitionComplete, or false when the
+   *   change was rejected, did not move the slideshow or the slideshow was
+   *   destroyed first.
+   */
+  function changeSlide(identifier, change) {
+    const core = getCoreModule(identifier);
+
+    if (!core) {
+      return Promise.resolve(change());
+    }
+
+    const { container } = core;
+    const previousIndex = core.slideIndex;
+
+    return new Promise((resolve) => {
+      const controller = new AbortController();
+      const finish = (result) => {
+        controller.abort();
+        resolve(result);
+      };
+
+      // Listen first: instant transitions complete during the change
+      container.addEventListener('vvjs:transitionComplete', () => {
+        finish(core.slideIndex !== previousIndex);
+      }, { signal: controller.signal });
+      container.addEventListener('vvjs:destroyed', () => finish(false), { signal: controller.signal });
+
+      // No transition follows a rejected change, or one that stayed on the
+      // same slide (e.g. next at the end of a slideshow that does not loop)
+      if (!change() || core.slideIndex === previousIndex) {
+        finish(false);
+        return;
+      }
+
+      // Without transitions, or slides to run them on, nothing is waited for
+      const transitions = container.vvjsModules && container.vvjsModules.transitions;
+      if (!transitions || !transitions.slides.length) {
+        finish(true);
+      }
+    });
+  }
+
+  /**
+   * Remove pending whenReady() calls from the queue.
+   *
+   * @param {Function} matches
+   *   Receives the container the request's identifier points to (or null)
+   *   and returns whether the request should be taken.
+   *
+   * @return {Object[]}
+   *   The taken requests, to be resolved or rejected by the caller.
+   */
+  function takeReadyRequests(matches) {
+    const requests = Array.from(readyRequests)
+      .filter((request) => matches(getContainerByIdentifier(request.identifier)));
+
+    requests.forEach((request) => readyRequests.delete(request));
+
+    return requests;
+  }
+
+  // Slideshows on the page are attached by the time it has loaded, so a
+  // whenReady() identifier that matches nothing by then never will
+  window.addEventListener('load', () => {
+    takeReadyRequests((container) => !container)
+      .forEach((request) => request.resolve(null));
+  });
+
+  /**
+   * Get the full name of a slideshow event.
+   *
+   * @param {string} type
+   *   The event name, with or without the vvjs: prefix.
+   *
+   * @return {string}
+   *   The event name with the prefix.
+   */
+  function getEventName(type) {
+    return type.startsWith('vvjs:') ? type : `vvjs:${type}`;
+  }
+
   /**
    * Navigate to a specific slide by identifier.
    *
@@ -455,10 +946,30 @@
     }
 
     core.goToSlide(slideIndex);
-    core.startAutoSlide();
+    core.handleUserNavigation();
     return true;
   };
 
+  /**
+   * Navigate to a specific slide and wait for the transition to finish.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier (from deeplink_identifier or container selector).
+   * @param {number} slideIndex
+   *   The slide number to navigate to (1-based).
+   *
+   * @return {Promise<boolean>}
+   *   Resolves with true once the transition has finished, or false if the
+   *   slideshow was not found, the index is invalid, the slide is already
+   *   shown or the slideshow was destroyed first.
+   *
+   * @example
+   * await Drupal.vvjs.goToSlideAsync('gallery', 3);
+   */
+  Drupal.vvjs.goToSlideAsync = function(identifier, slideIndex) {
+    return changeSlide(identifier, () => Drupal.vvjs.goToSlide(identifier, slideIndex));
+  };
+
   /**
    * Get the current slide index for a slideshow.
    *
@@ -507,16 +1018,32 @@
    */
   Drupal.vvjs.nextSlide = function(identifier) {
     const core = getCoreModule(identifier);
-
     if (core) {
       core.nextSlide();
-      core.startAutoSlide();
+      core.handleUserNavigation();
       return true;
     }
-
     return false;
   };
 
+  /**
+   * Navigate to next slide and wait for the transition to finish.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier.
+   *
+   * @return {Promise<boolean>}
+   *   Resolves with true once the transition has finished, or false if the
+   *   slideshow was not found, is on its last slide without looping or was
+   *   destroyed first.
+   *
+   * @example
+   * Drupal.vvjs.nextSlideAsync('gallery').then(() => console.log('Done'));
+   */
+  Drupal.vvjs.nextSlideAsync = function(identifier) {
+    return changeSlide(identifier, () => Drupal.vvjs.nextSlide(identifier));
+  };
+
   /**
    * Navigate to previous slide.
    *
@@ -531,16 +1058,32 @@
    */
   Drupal.vvjs.prevSlide = function(identifier) {
     const core = getCoreModule(identifier);
-
     if (core) {
       core.prevSlide();
-      core.startAutoSlide();
+      core.handleUserNavigation();
       return true;
     }
-
     return false;
   };
 
+  /**
+   * Navigate to previous slide and wait for the transition to finish.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier.
+   *
+   * @return {Promise<boolean>}
+   *   Resolves with true once the transition has finished, or false if the
+   *   slideshow was not found, is on its first slide without looping or was
+   *   destroyed first.
+   *
+   * @example
+   * await Drupal.vvjs.prevSlideAsync('gallery');
+   */
+  Drupal.vvjs.prevSlideAsync = function(identifier) {
+    return changeSlide(identifier, () => Drupal.vvjs.prevSlide(identifier));
+  };
+
   /**
    * Pause a specific slideshow.
    *
@@ -587,4 +1130,241 @@
     return false;
   };
 
+  /**
+   * Add a slide to a slideshow.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier.
+   * @param {HTMLElement} slide
+   *   A .vvjs-item element, or content to wrap in one.
+   * @param {number} position
+   *   Position of the new slide (1-based), defaults to the end.
+   *
+   * @return {HTMLElement|null}
+   *   The added .vvjs-item, or null if the slideshow was not found.
+   *
+   * @example
+   * const card = document.createElement('article');
+   * card.textContent = 'Next match: Saturday 15:00';
+   * Drupal.vvjs.addSlide('fixtures', card, 1);
+   */
+  Drupal.vvjs.addSlide = function(identifier, slide, position) {
+    const core = getCoreModule(identifier);
+    return core ? core.addSlide(slide, position) : null;
+  };
+
+  /**
+   * Remove a slide from a slideshow.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier.
+   * @param {number|HTMLElement} slide
+   *   The slide index (1-based) or the .vvjs-item element.
+   *
+   * @return {boolean}
+   *   True if the slide was removed.
+   *
+   * @example
+   * Drupal.vvjs.removeSlide('fixtures', 1);
+   */
+  Drupal.vvjs.removeSlide = function(identifier, slide) {
+    const core = getCoreModule(identifier);
+    return core ? core.removeSlide(slide) : false;
+  };
+
+  /**
+   * Update a slideshow after its .vvjs-item elements changed.
+   *
+   * @param {string} identifier
+   *   The slideshow identifier.
+   *
+   * @return {boolean}
+   *   True if successful.
+   *
+   * @example
+   * Drupal.vvjs.refresh('fixtures');
+   */
+  Drupal.vvjs.refresh = function(identifier) {
+    const core = getCoreModule(identifier);
+
+    if (core) {
+      core.refresh();
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Listen for a slideshow event.
+   *
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier or container.
+   * @param {string} type
+   *   The event name, e.g. 'slideChanged' or 'vvjs:slideChanged'.
+   * @param {Function} handler
+   *   Receives the CustomEvent; its detail holds the event data.
+   *
+   * @return {Function}
+   *   Function that removes the listener.
+   *
+   * @example
+   * const off = Drupal.vvjs.on('gallery', 'slideChanged', (e) => {
+   *   console.log('Now on slide', e.detail.slideIndex);
+   * });
+   */
+  Drupal.vvjs.on = function(identifier, type, handler) {
+    const container = getContainerByIdentifier(identifier);
+
+    if (!container) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`VVJS: Slideshow "${identifier}" not found`);
+      }
+      return () => {};
+    }
+
+    const eventName = getEventName(type);
+    container.addEventListener(eventName, handler);
+
+    return () => container.removeEventListener(eventName, handler);
+  };
+
+  /**
+   * Remove a listener added with Drupal.vvjs.on().
+   *
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier or container.
+   * @param {string} type
+   *   The event name, with or without the vvjs: prefix.
+   * @param {Function} handler
+   *   The handler passed to Drupal.vvjs.on().
+   */
+  Drupal.vvjs.off = function(identifier, type, handler) {
+    const container = getContainerByIdentifier(identifier);
+
+    if (container) {
+      container.removeEventListener(getEventName(type), handler);
+    }
+  };
+
+  /**
+   * Wait for the next slideshow event.
+   *
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier or container.
+   * @param {string} type
+   *   The event name, with or without the vvjs: prefix.
+   * @param {Function} handler
+   *   Optional handler called once with the CustomEvent.
+   * @param {Object} options
+   *   Optional settings:
+   *   - signal: AbortSignal that stops waiting.
+   *
+   * @return {Promise<CustomEvent|null>}
+   *   Resolves with the event, or null if the slideshow was not found or is
+   *   destroyed first. Rejects with the signal's reason when aborted.
+   *
+   * @example
+   * const e = await Drupal.vvjs.once('gallery', 'transitionComplete');
+   */
+  Drupal.vvjs.once = function(identifier, type, handler, { signal } = {}) {
+    const container = getContainerByIdentifier(identifier);
+
+    if (!container) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`VVJS: Slideshow "${identifier}" not found`);
+      }
+      return Promise.resolve(null);
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      const finish = (settle, value) => {
+        controller.abort();
+        settle(value);
+      };
+
+      container.addEventListener(getEventName(type), (e) => {
+        if (handler) {
+          handler(e);
+        }
+        finish(resolve, e);
+      }, { signal: controller.signal });
+
+      // Waiting for vvjs:destroyed itself resolves through the listener above
+      container.addEventListener('vvjs:destroyed', () => finish(resolve, null), { signal: controller.signal });
+
+      if (signal) {
+        signal.addEventListener('abort', () => finish(reject, signal.reason), { signal: controller.signal });
+      }
+    });
+  };
+
+  /**
+   * Wait until a slideshow has initialized.
+   *
+   * Can be called at any time, also before the slideshow is on the page or
+   * before Drupal behaviors have attached.
+   *
+   * @param {string|HTMLElement} identifier
+   *   The slideshow identifier or container.
+   * @param {Object} options
+   *   Optional settings:
+   *   - signal: AbortSignal that stops waiting.
+   *
+   * @return {Promise<VVJSSlideshow|null>}
+   *   Resolves with the slideshow instance after vvjs:initialized, or null if
+   *   no slideshow matches the identifier once the page has loaded. Rejects
+   *   with the error when initialization fails, or with the signal's reason
+   *   when aborted.
+   *
+   * @example
+   * Drupal.vvjs.whenReady('gallery').then(() => Drupal.vvjs.goToSlide('gallery', 2));
+   */
+  Drupal.vvjs.whenReady = function(identifier, { signal } = {}) {
+    const container = getContainerByIdentifier(identifier);
+
+    if (container && container.vvjsSlideshow && container.classList.contains('vvjs-initialized')) {
+      return Promise.resolve(container.vvjsSlideshow);
+    }
+
+    if (container && container.classList.contains('vvjs-error')) {
+      return Promise.reject(new Error(`VVJS: Slideshow "${identifier}" failed to initialize`));
+    }
+
+    if (!container && document.readyState === 'complete') {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn(`VVJS: Slideshow "${identifier}" not found`);
+      }
+      return Promise.resolve(null);
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        readyRequests.delete(request);
+        reject(signal.reason);
+      };
+      const settle = (callback) => (value) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        callback(value);
+      };
+      const request = { identifier, resolve: settle(resolve), reject: settle(reject) };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      readyRequests.add(request);
+    });
+  };
+
 })(Drupal, drupalSettings, once);
@@ -60,6 +60,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
   public const NAV_NONE = 'none';
   public const NAV_DOTS = 'dots';
   public const NAV_NUMBERS = 'numbers';
+  public const NAV_THUMBNAILS = 'thumbnails';
 
   /**
    * Overlay position constants.
@@ -122,7 +123,10 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
   protected function defineOptions(): array {
     $options = parent::defineOptions();
     $options['time_in_seconds'] = ['default' => self::TIMING_DEFAULT];
+    $options['slide_duration_field'] = ['default' => ''];
+    $options['orientation'] = ['default' => VvjsConstants::ORIENTATION_HORIZONTAL];
     $options['navigation'] = ['default' => self::NAV_DOTS];
+    $options['thumbnail_field'] = ['default' => ''];
     $options['animation'] = ['default' => self::ANIMATION_BOTTOM];
     $options['transition_type'] = ['default' => VvjsConstants::TRANSITION_INSTANT];
     $options['transition_duration'] = ['default' => VvjsConstants::TRANSITION_DURATION_DEFAULT];
@@ -133,20 +137,39 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $options['overlay_bg_opacity'] = ['default' => '0.3'];
     $options['available_breakpoints'] = ['default' => self::BREAKPOINT_576];
     $options['enable_css'] = ['default' => TRUE];
+    $options['lazy_load_images'] = ['default' => FALSE];
     $options['min_height'] = ['default' => self::DEFAULT_MIN_HEIGHT];
     $options['max_content_width'] = ['default' => self::DEFAULT_CONTENT_WIDTH];
     $options['max_width'] = ['default' => self::DEFAULT_MAX_WIDTH];
     $options['overlay_position'] = ['default' => self::OVERLAY_MIDDLE];
     $options['show_total_slides'] = ['default' => FALSE];
     $options['show_slide_progress'] = ['default' => FALSE];
+    $options['progress_style'] = ['default' => VvjsConstants::PROGRESS_STYLE_INDICATOR];
     $options['show_play_pause'] = ['default' => TRUE];
     $options['pause_on_hover'] = ['default' => TRUE];
+    $options['stop_on_interaction'] = ['default' => FALSE];
     $options['enable_swipe'] = ['default' => TRUE];
     $options['enable_keyboard'] = ['default' => TRUE];
+    $options['keyboard_primary'] = ['default' => FALSE];
     $options['enable_looping'] = ['default' => TRUE];
     $options['start_index'] = ['default' => 1];
+    $options['video_autoplay'] = ['default' => TRUE];
+    $options['video_wait_for_end'] = ['default' => FALSE];
+    $options['ken_burns'] = ['default' => FALSE];
+    $options['ken_burns_direction'] = ['default' => VvjsConstants::KEN_BURNS_RANDOM];
+    $options['ken_burns_zoom'] = ['default' => VvjsConstants::KEN_BURNS_ZOOM_DEFAULT];
+    $options['slide_title_field'] = ['default' => ''];
+    $options['announcement_template'] = ['default' => ''];
     $options['enable_deeplink'] = ['default' => FALSE];
     $options['deeplink_identifier'] = ['default' => ''];
+    $options['deeplink_slug_field'] = ['default' => ''];
+    $options['deeplink_history'] = ['default' => FALSE];
+    $options['sync_with'] = ['default' => ''];
+    $options['sync_mapping'] = ['default' => VvjsConstants::SYNC_MAPPING_INDEX];
+    $options['slides_per_view'] = ['default' => VvjsConstants::SLIDES_PER_VIEW_DEFAULT];
+    $options['slides_per_view_responsive'] = ['default' => []];
+    $options['slide_by'] = ['default' => VvjsConstants::SLIDE_BY_SLIDE];
+    $options['breakpoint_overrides'] = ['default' => []];
     return $options;
   }
 
@@ -160,12 +183,15 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $this->buildWarningMessage($form);
     $this->buildHeroSlideshowSection($form);
     $this->buildResponsiveSection($form);
+    $this->buildCarouselSection($form);
+    $this->buildBreakpointOverridesSection($form);
     $this->buildDeepLinkingSection($form);
     $this->buildTimingSection($form);
     $this->buildNavigationSection($form);
     $this->buildAnimationSection($form);
     $this->buildDisplayOptionsSection($form);
     $this->buildBehaviorSettingsSection($form);
+    $this->buildAccessibilitySection($form);
     $this->buildAdvancedOptionsSection($form);
     $this->buildTokenDocumentation($form);
     $this->attachFormAssets($form);
@@ -363,6 +389,19 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#default_value' => $this->options['time_in_seconds'] ?? self::TIMING_DEFAULT,
       '#description' => $this->t('By default, the Slideshow scrolls every 5 seconds. You can modify this interval. If set between 3-15 seconds, a play/pause button appears and the slideshow pauses on mouse hover. To stop the slideshow, set the field value to none.'),
     ];
+
+    $form['timing_section']['slide_duration_field'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Per-slide Duration Field'),
+      '#options' => $this->getFieldOptions($this->t('- Same time for every slide -')),
+      '#default_value' => $this->options['slide_duration_field'] ?? '',
+      '#description' => $this->t('Field holding how long each slide stays visible, in seconds (for example 12). Slides with an empty or zero value use the auto-advance time above. Mark the field as "Exclude from display" to keep it out of the slides. Custom templates can also set a data-duration attribute (in milliseconds) on the slide.'),
+      '#states' => [
+        'invisible' => [
+          ':input[name="style_options[timing_section][time_in_seconds]"]' => ['value' => '0'],
+        ],
+      ],
+    ];
   }
 
   /**
@@ -379,6 +418,17 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#weight' => -20,
     ];
 
+    $form['navigation_section']['orientation'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Orientation'),
+      '#options' => [
+        VvjsConstants::ORIENTATION_HORIZONTAL => $this->t('Horizontal'),
+        VvjsConstants::ORIENTATION_VERTICAL => $this->t('Vertical (top to bottom)'),
+      ],
+      '#default_value' => $this->options['orientation'] ?? VvjsConstants::ORIENTATION_HORIZONTAL,
+      '#description' => $this->t('Direction the slides move in. Vertical slideshows advance upwards, are swiped up and down, use the Up/Down arrow keys and show their arrows above and below the slide.'),
+    ];
+
     $form['navigation_section']['arrows'] = [
       '#type' => 'select',
       '#title' => $this->t('Slide Navigation Arrows'),
@@ -392,7 +442,20 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#title' => $this->t('Slide Indicators (Bottom Navigation Dots/Numbers)'),
       '#options' => $this->getNavigationOptions(),
       '#default_value' => $this->options['navigation'] ?? self::NAV_DOTS,
-      '#description' => $this->t('Show the bottom slide navigation dots/numbers. <strong>Note: This feature is required by Deep Linking.</strong>'),
+      '#description' => $this->t('Show the bottom slide navigation dots/numbers, or a strip of thumbnails. <strong>Note: This feature is required by Deep Linking.</strong>'),
+    ];
+
+    $form['navigation_section']['thumbnail_field'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Thumbnail Source'),
+      '#options' => $this->getFieldOptions($this->t('- First image in the slide -')),
+      '#default_value' => $this->options['thumbnail_field'] ?? '',
+      '#description' => $this->t('Field rendered inside each thumbnail, typically an image field with a small image style. Mark the field as "Exclude from display" to keep it out of the slides. When no field is selected, the first image of each slide is used.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="style_options[navigation_section][navigation]"]' => ['value' => self::NAV_THUMBNAILS],
+        ],
+      ],
     ];
   }
 
@@ -418,6 +481,47 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#description' => $this->t('Choose the animation type for the slides. When set to "None", transition options become available.'),
     ];
 
+    $form['animation_section']['ken_burns'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Ken Burns Effect'),
+      '#default_value' => $this->options['ken_burns'] ?? FALSE,
+      '#description' => $this->t('Slowly pan and zoom the slide image for as long as the slide is shown. Uses the hero image, or the first image of regular slides. Requires auto-advance timing, pauses with the slideshow and is turned off for visitors who prefer reduced motion. Not available in carousel mode.'),
+    ];
+
+    $ken_burns_state = [
+      'visible' => [
+        ':input[name="style_options[animation_section][ken_burns]"]' => ['checked' => TRUE],
+      ],
+    ];
+
+    $form['animation_section']['ken_burns_direction'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Ken Burns Direction'),
+      '#options' => [
+        VvjsConstants::KEN_BURNS_RANDOM => $this->t('Random per slide (direction, zoom in or out, and amount)'),
+        VvjsConstants::KEN_BURNS_ZOOM => $this->t('Zoom in only'),
+        VvjsConstants::KEN_BURNS_LEFT => $this->t('Drift left'),
+        VvjsConstants::KEN_BURNS_RIGHT => $this->t('Drift right'),
+        VvjsConstants::KEN_BURNS_UP => $this->t('Drift up'),
+        VvjsConstants::KEN_BURNS_DOWN => $this->t('Drift down'),
+      ],
+      '#default_value' => $this->options['ken_burns_direction'] ?? VvjsConstants::KEN_BURNS_RANDOM,
+      '#description' => $this->t('Individual slides can override this with a data-ken-burns attribute on the slide in custom templates.'),
+      '#states' => $ken_burns_state,
+    ];
+
+    $form['animation_section']['ken_burns_zoom'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Ken Burns Zoom'),
+      '#default_value' => $this->options['ken_burns_zoom'] ?? VvjsConstants::KEN_BURNS_ZOOM_DEFAULT,
+      '#min' => VvjsConstants::KEN_BURNS_ZOOM_MIN,
+      '#max' => VvjsConstants::KEN_BURNS_ZOOM_MAX,
+      '#step' => 1,
+      '#field_suffix' => '%',
+      '#description' => $this->t('How much the image grows over the slide. Larger values also allow a longer drift. Recommended: 10-25%.'),
+      '#states' => $ken_burns_state,
+    ];
+
     // Transition options - only visible when animation is "none".
     $form['animation_section']['transition_type'] = [
       '#type' => 'select',
@@ -435,7 +539,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $form['animation_section']['transition_duration'] = [
       '#type' => 'number',
       '#title' => $this->t('Transition Duration'),
-      '#description' => $this->t('Duration of the crossfade transition in milliseconds. Recommended: 400-800ms.'),
+      '#description' => $this->t('Duration of the crossfade or slide transition in milliseconds. Recommended: 400-800ms.'),
       '#default_value' => $this->options['transition_duration'] ?? VvjsConstants::TRANSITION_DURATION_DEFAULT,
       '#min' => VvjsConstants::TRANSITION_DURATION_MIN,
       '#max' => VvjsConstants::TRANSITION_DURATION_MAX,
@@ -448,6 +552,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_CLASSIC],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_STAGED],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_DYNAMIC],
+            ['value' => VvjsConstants::TRANSITION_SLIDE],
           ],
         ],
       ],
@@ -460,8 +565,9 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
         <li><strong>Crossfade - Classic:</strong> Both slides fade at the same speed simultaneously (most common)</li>
         <li><strong>Crossfade - Staged:</strong> Outgoing fades quickly, incoming fades slowly with overlap (elegant, smooth)</li>
         <li><strong>Crossfade - Dynamic:</strong> Fast fade-out, slow fade-in (energetic, attention-grabbing)</li>
+        <li><strong>Slide:</strong> The current slide moves out while the next one moves in from the direction of travel</li>
       </ul>
-      <p><strong>Performance Note:</strong> All crossfade effects use GPU-accelerated CSS transitions. Users with "prefers-reduced-motion" enabled will automatically see instant transitions.</p>
+      <p><strong>Performance Note:</strong> All crossfade and slide effects use GPU-accelerated CSS transitions. Users with "prefers-reduced-motion" enabled will automatically see instant transitions.</p>
       </div>'),
       '#states' => [
         'visible' => [
@@ -470,6 +576,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_CLASSIC],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_STAGED],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_DYNAMIC],
+            ['value' => VvjsConstants::TRANSITION_SLIDE],
           ],
         ],
       ],
@@ -502,7 +609,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $form['transitions_section']['transition_duration'] = [
       '#type' => 'number',
       '#title' => $this->t('Transition Duration'),
-      '#description' => $this->t('Duration of the crossfade transition in milliseconds. Recommended: 400-800ms.'),
+      '#description' => $this->t('Duration of the crossfade or slide transition in milliseconds. Recommended: 400-800ms.'),
       '#default_value' => $this->options['transition_duration'] ?? VvjsConstants::TRANSITION_DURATION_DEFAULT,
       '#min' => VvjsConstants::TRANSITION_DURATION_MIN,
       '#max' => VvjsConstants::TRANSITION_DURATION_MAX,
@@ -514,6 +621,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_CLASSIC],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_STAGED],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_DYNAMIC],
+            ['value' => VvjsConstants::TRANSITION_SLIDE],
           ],
         ],
       ],
@@ -526,8 +634,9 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
         <li><strong>Crossfade - Classic:</strong> Both slides fade at the same speed simultaneously (most common)</li>
         <li><strong>Crossfade - Staged:</strong> Outgoing fades quickly, incoming fades slowly with overlap (elegant, smooth)</li>
         <li><strong>Crossfade - Dynamic:</strong> Fast fade-out, slow fade-in (energetic, attention-grabbing)</li>
+        <li><strong>Slide:</strong> The current slide moves out while the next one moves in from the direction of travel</li>
       </ul>
-      <p><strong>Performance Note:</strong> All crossfade effects use GPU-accelerated CSS transitions. Users with "prefers-reduced-motion" enabled will automatically see instant transitions.</p>
+      <p><strong>Performance Note:</strong> All crossfade and slide effects use GPU-accelerated CSS transitions. Users with "prefers-reduced-motion" enabled will automatically see instant transitions.</p>
       </div>'),
       '#states' => [
         'visible' => [
@@ -535,6 +644,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_CLASSIC],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_STAGED],
             ['value' => VvjsConstants::TRANSITION_CROSSFADE_DYNAMIC],
+            ['value' => VvjsConstants::TRANSITION_SLIDE],
           ],
         ],
       ],
@@ -576,6 +686,23 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#states' => $timing_enabled_state,
     ];
 
+    $form['display_section']['progress_style'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Progress Style'),
+      '#options' => [
+        VvjsConstants::PROGRESS_STYLE_INDICATOR => $this->t('Circular indicator with percentage'),
+        VvjsConstants::PROGRESS_STYLE_PLAY_BUTTON => $this->t('Ring around the play/pause button'),
+        VvjsConstants::PROGRESS_STYLE_DOTS => $this->t('Fill of the active dot, number or thumbnail'),
+      ],
+      '#default_value' => $this->options['progress_style'] ?? VvjsConstants::PROGRESS_STYLE_INDICATOR,
+      '#description' => $this->t('How slide progress is shown. The ring needs the play/pause button and the fill needs navigation dots, numbers or thumbnails; otherwise the circular indicator is used.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="style_options[display_section][show_slide_progress]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
     $form['display_section']['show_play_pause'] = [
       '#type' => 'checkbox',
       '#title' => $this->t('Show Play/Pause Button'),
@@ -613,6 +740,14 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#states' => $timing_enabled_state,
     ];
 
+    $form['behavior_section']['stop_on_interaction'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Stop Autoplay After Interaction'),
+      '#default_value' => $this->options['stop_on_interaction'] ?? FALSE,
+      '#description' => $this->t('Pause the slideshow for good once a visitor changes the slide with the arrows, dots, keyboard or a swipe, as recommended by WCAG 2.2.2. Visitors can resume it with the play button. Otherwise auto-advance restarts after each change.'),
+      '#states' => $timing_enabled_state,
+    ];
+
     $form['behavior_section']['enable_swipe'] = [
       '#type' => 'checkbox',
       '#title' => $this->t('Enable Touch/Swipe Gestures'),
@@ -624,7 +759,19 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#type' => 'checkbox',
       '#title' => $this->t('Enable Keyboard Navigation'),
       '#default_value' => $this->options['enable_keyboard'] ?? TRUE,
-      '#description' => $this->t('Allow users to navigate slides using keyboard arrow keys, Space to pause/play, Home/End to jump to first/last slide.'),
+      '#description' => $this->t('Allow users to navigate slides using keyboard arrow keys, Space to pause/play, Home/End to jump to first/last slide. Keys only apply while the slideshow has focus.'),
+    ];
+
+    $form['behavior_section']['keyboard_primary'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Primary Slideshow for Keyboard'),
+      '#default_value' => $this->options['keyboard_primary'] ?? FALSE,
+      '#description' => $this->t('Let the Left/Right arrow keys change slides while nothing on the page has focus, also for vertical slideshows. Use for one slideshow per page, such as the hero; when several are marked, the first one on the page is used. Space, Home/End and Up/Down keep scrolling the page. While the slideshow has focus, its arrow keys follow the orientation: Left/Right for horizontal and Up/Down for vertical slideshows.'),
+      '#states' => [
+        'enabled' => [
+          ':input[name="style_options[behavior_section][enable_keyboard]"]' => ['checked' => TRUE],
+        ],
+      ],
     ];
 
     $form['behavior_section']['enable_looping'] = [
@@ -642,6 +789,58 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#step' => 1,
       '#description' => $this->t('Choose which slide the slideshow should display first when it loads. For example, enter 1 to start with the first slide, 2 for the second, etc. This is useful when you have multiple slideshows side by side and want each to start at a different position for a staggered effect. If the number exceeds the total slides, the slideshow will automatically start from the last slide.'),
     ];
+
+    $form['behavior_section']['video_autoplay'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Play Videos on the Active Slide'),
+      '#default_value' => $this->options['video_autoplay'] ?? TRUE,
+      '#description' => $this->t('Start videos when their slide is shown and pause them while the slideshow is paused. Browsers only allow muted videos to start by themselves, so a blocked video is muted. Videos are always paused, and YouTube, Vimeo and remote video embeds stopped, when their slide leaves.'),
+    ];
+
+    $form['behavior_section']['video_wait_for_end'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Wait for Videos to End'),
+      '#default_value' => $this->options['video_wait_for_end'] ?? FALSE,
+      '#description' => $this->t('Advance a slide with a video when the video ends instead of after the slide time. Applies to the first video of the slide when one slide is visible at a time; looping videos and embeds use the slide time.'),
+      '#states' => [
+        'enabled' => [
+          ':input[name="style_options[timing_section][time_in_seconds]"]' => ['!value' => '0'],
+          ':input[name="style_options[behavior_section][video_autoplay]"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+  }
+
+  /**
+   * Build accessibility section.
+   *
+   * @param array $form
+   *   The form array (passed by reference).
+   */
+  protected function buildAccessibilitySection(array &$form): void {
+    $form['accessibility_section'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Accessibility'),
+      '#open' => FALSE,
+      '#weight' => 7,
+    ];
+
+    $form['accessibility_section']['slide_title_field'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Slide Title Source'),
+      '#options' => $this->getFieldOptions($this->t('- None -')),
+      '#default_value' => $this->options['slide_title_field'] ?? '',
+      '#description' => $this->t('Field whose text names each slide, typically the title. Screen readers announce it with the slide number and the navigation dots use it as their label. In custom templates a data-slide-title attribute on the slide works the same way.'),
+    ];
+
+    $form['accessibility_section']['announcement_template'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Slide Announcement'),
+      '#default_value' => $this->options['announcement_template'] ?? '',
+      '#maxlength' => 255,
+      '#placeholder' => $this->t('Slide @index of @total: {{ title }}'),
+      '#description' => $this->t('Text screen readers announce when the slide changes. Use @index for the slide number, @total for the number of slides, @last for the last visible slide in carousel mode and @title for the slide title. Replacement tokens of the slide\'s fields, such as {{ title }}, can be used as well. HTML is removed. Leave empty for the translated default "Slide @index of @total".'),
+    ];
   }
 
   /**
@@ -664,6 +863,13 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       '#default_value' => $this->options['enable_css'] ?? TRUE,
       '#description' => $this->t('Include the default CSS library for slideshow styling. Disable if you want to provide custom styles.'),
     ];
+
+    $form['advanced_section']['lazy_load_images'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Lazy Load Slide Images'),
+      '#default_value' => $this->options['lazy_load_images'] ?? FALSE,
+      '#description' => $this->t('Only load images of the visible slides on page load. Images of the next and previous slides are preloaded as the slideshow moves, so transitions never show an empty slide. Recommended for slideshows with many image slides.'),
+    ];
   }
 
   /**
@@ -744,6 +950,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       VvjsConstants::TRANSITION_CROSSFADE_CLASSIC => $this->t('Crossfade - Classic'),
       VvjsConstants::TRANSITION_CROSSFADE_STAGED => $this->t('Crossfade - Staged (elegant)'),
       VvjsConstants::TRANSITION_CROSSFADE_DYNAMIC => $this->t('Crossfade - Dynamic (energetic)'),
+      VvjsConstants::TRANSITION_SLIDE => $this->t('Slide (follows the orientation)'),
     ];
   }
 
@@ -771,6 +978,149 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     ];
   }
 
+  /**
+   * Build carousel (slides per view) configuration section.
+   *
+   * @param array $form
+   *   The form array (passed by reference).
+   */
+  protected function buildCarouselSection(array &$form): void {
+    $form['carousel_section'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Carousel Mode (Slides per View)'),
+      '#open' => FALSE,
+      // Right after the responsive settings it builds on.
+      '#weight' => -34,
+    ];
+
+    $form['carousel_section']['slides_per_view'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Slides per View'),
+      '#default_value' => $this->options['slides_per_view'] ?? VvjsConstants::SLIDES_PER_VIEW_DEFAULT,
+      '#min' => VvjsConstants::SLIDES_PER_VIEW_MIN,
+      '#max' => VvjsConstants::SLIDES_PER_VIEW_MAX,
+      '#step' => 1,
+      '#description' => $this->t('Number of slides visible at once on the smallest screens. Keep at 1 for a classic slideshow. When more than one slide is visible at any breakpoint, slides scroll in the direction of the orientation and the transition type is ignored.'),
+    ];
+
+    $form['carousel_section']['slides_per_view_responsive'] = [
+      '#type' => 'fieldset',
+      '#title' => $this->t('Slides per View by Breakpoint'),
+      '#description' => $this->t('Override the number of visible slides from a viewport width upwards. Leave at 0 to keep the value of the next smaller breakpoint.'),
+    ];
+
+    $responsive = $this->options['slides_per_view_responsive'] ?? [];
+    foreach ($this->getBreakpointOptions() as $breakpoint => $label) {
+      $form['carousel_section']['slides_per_view_responsive'][$breakpoint] = [
+        '#type' => 'number',
+        '#title' => $this->t('From @breakpoint', ['@breakpoint' => $label]),
+        '#default_value' => $responsive[$breakpoint] ?? 0,
+        '#min' => 0,
+        '#max' => VvjsConstants::SLIDES_PER_VIEW_MAX,
+        '#step' => 1,
+      ];
+    }
+
+    $form['carousel_section']['slide_by'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Scroll Step'),
+      '#options' => [
+        VvjsConstants::SLIDE_BY_SLIDE => $this->t('One slide at a time'),
+        VvjsConstants::SLIDE_BY_PAGE => $this->t('A full page at a time'),
+      ],
+      '#default_value' => $this->options['slide_by'] ?? VvjsConstants::SLIDE_BY_SLIDE,
+      '#description' => $this->t('How far the arrows, swipes and auto-advance move. Dots and the slide counter follow the same steps.'),
+    ];
+  }
+
+  /**
+   * Build per-breakpoint behavior overrides section.
+   *
+   * @param array $form
+   *   The form array (passed by reference).
+   */
+  protected function buildBreakpointOverridesSection(array &$form): void {
+    $form['breakpoint_section'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Behavior by Breakpoint'),
+      '#description' => $this->t('Change these settings from a viewport width upwards. They switch back when the viewport gets narrower again.'),
+      '#open' => FALSE,
+      // After the carousel settings, which are also set per breakpoint.
+      '#weight' => -33,
+    ];
+
+    $form['breakpoint_section']['breakpoint_overrides'] = [
+      '#type' => 'container',
+    ];
+
+    $inherit = ['' => $this->t('- Same as smaller screens -')];
+    $overrides = $this->options['breakpoint_overrides'] ?? [];
+
+    foreach ($this->getBreakpointOptions() as $breakpoint => $label) {
+      $values = $overrides[$breakpoint] ?? [];
+
+      $fieldset = [
+        '#type' => 'fieldset',
+        '#title' => $this->t('From @breakpoint', ['@breakpoint' => $label]),
+      ];
+
+      $fieldset['arrows'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Arrows'),
+        '#options' => $inherit + $this->getArrowOptions(),
+        '#default_value' => $values['arrows'] ?? '',
+      ];
+
+      $fieldset['time_in_seconds'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Auto-advance Time'),
+        '#options' => $inherit + $this->getTimingOptions(),
+        '#default_value' => isset($values['time_in_seconds']) ? (string) $values['time_in_seconds'] : '',
+        '#description' => $this->t('Only used when the slideshow advances automatically. None stops auto-advance and hides the play/pause button.'),
+        '#states' => [
+          'invisible' => [
+            ':input[name="style_options[timing_section][time_in_seconds]"]' => ['value' => '0'],
+          ],
+        ],
+      ];
+
+      $fieldset['transition_type'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Transition Type'),
+        '#options' => $inherit + $this->getTransitionOptions(),
+        '#default_value' => $values['transition_type'] ?? '',
+        '#description' => $this->t('Ignored in carousel mode.'),
+      ];
+
+      $fieldset['enable_swipe'] = [
+        '#type' => 'select',
+        '#title' => $this->t('Swipe Navigation'),
+        '#options' => $inherit + [
+          '1' => $this->t('Enabled'),
+          '0' => $this->t('Disabled'),
+        ],
+        '#default_value' => isset($values['enable_swipe']) ? ($values['enable_swipe'] ? '1' : '0') : '',
+      ];
+
+      $fieldset['min_height'] = [
+        '#type' => 'number',
+        '#title' => $this->t('Hero Min Height (vw)'),
+        '#default_value' => $values['min_height'] ?? 0,
+        '#min' => 0,
+        '#max' => self::MAX_HEIGHT,
+        '#step' => 1,
+        '#description' => $this->t('Leave at 0 to keep the value of the next smaller breakpoint. The hero layout applies from the responsive breakpoint upwards.'),
+        '#states' => [
+          'visible' => [
+            ':input[name="style_options[hero_slideshow_section][hero_slideshow]"]' => ['checked' => TRUE],
+          ],
+        ],
+      ];
+
+      $form['breakpoint_section']['breakpoint_overrides'][$breakpoint] = $fieldset;
+    }
+  }
+
   /**
    * Build deep linking configuration section.
    *
@@ -801,7 +1151,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $form['deeplink_section']['deeplink_identifier'] = [
       '#type' => 'textfield',
       '#title' => $this->t('URL Identifier'),
-      '#description' => $this->t('Short identifier used in slide links. Example: "gallery" creates links like #gallery-3. Will be automatically cleaned: converted to lowercase, spaces become hyphens, special characters removed.'),
+      '#description' => $this->t('Short identifier used in slide links. Example: "gallery" creates links like ?vvjs=gallery:3. Older hash links such as #gallery-3 still open the slide. Will be automatically cleaned: converted to lowercase, spaces become hyphens, special characters removed.'),
       '#default_value' => $this->options['deeplink_identifier'],
       '#maxlength' => VvjsConstants::DEEPLINK_IDENTIFIER_MAX_LENGTH,
       '#size' => 20,
@@ -812,6 +1162,86 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       ],
       '#element_validate' => [[$this, 'validateDeeplinkIdentifier']],
     ];
+
+    $deeplink_enabled_state = [
+      'visible' => [
+        ':input[name="style_options[deeplink_section][enable_deeplink]"]' => ['checked' => TRUE],
+      ],
+    ];
+
+    $form['deeplink_section']['deeplink_slug_field'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Slide Name Field'),
+      '#options' => $this->getFieldOptions($this->t('- Slide number -')),
+      '#default_value' => $this->options['deeplink_slug_field'] ?? '',
+      '#description' => $this->t('Name slide links after a field, usually the title: "gallery" and a slide titled "Zlatan Ibrahimović" link as ?vvjs=gallery:zlatan-ibrahimovic. Slides with an empty or duplicate name get a numbered link. Numbered links such as ?vvjs=gallery:3 and older hash links such as #gallery-zlatan-ibrahimovic keep working.'),
+      '#states' => $deeplink_enabled_state,
+    ];
+
+    $form['deeplink_section']['deeplink_history'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Add Slide Changes to Browser History'),
+      '#default_value' => $this->options['deeplink_history'] ?? FALSE,
+      '#description' => $this->t('Let the browser Back and Forward buttons move between the slides a visitor chose. Slides changed by auto-advance replace the current history entry.'),
+      '#states' => $deeplink_enabled_state,
+    ];
+
+    $form['deeplink_section']['sync_with'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Sync With'),
+      '#description' => $this->t('URL Identifier of another slideshow on the same page. Changing the slide in either slideshow changes it in the other, for example a photo slideshow driven by a caption slideshow. The other slideshow must have Deep Linking enabled; only one of the two needs this setting. Leave empty to disable.'),
+      '#default_value' => $this->options['sync_with'] ?? '',
+      '#maxlength' => VvjsConstants::DEEPLINK_IDENTIFIER_MAX_LENGTH,
+      '#size' => 20,
+      '#placeholder' => 'captions',
+      '#element_validate' => [[$this, 'validateSyncWith']],
+    ];
+
+    $form['deeplink_section']['sync_mapping'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Slide Mapping'),
+      '#options' => [
+        VvjsConstants::SYNC_MAPPING_INDEX => $this->t('Same slide number (wraps around when the other slideshow has fewer slides)'),
+        VvjsConstants::SYNC_MAPPING_PROPORTIONAL => $this->t('Proportional (spreads the slides evenly when the counts differ)'),
+      ],
+      '#default_value' => $this->options['sync_mapping'] ?? VvjsConstants::SYNC_MAPPING_INDEX,
+      '#description' => $this->t('How slides are matched when the two slideshows have a different number of slides.'),
+      '#states' => [
+        'invisible' => [
+          ':input[name="style_options[deeplink_section][sync_with]"]' => ['value' => ''],
+        ],
+      ],
+    ];
+  }
+
+  /**
+   * Validates the identifier of the slideshow to sync with.
+   *
+   * @param array $element
+   *   The form element.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function validateSyncWith(array $element, FormStateInterface $form_state): void {
+    $deeplink_values = $form_state->getValue(['style_options', 'deeplink_section']) ?? [];
+    $sync_with = strtolower(trim((string) ($deeplink_values['sync_with'] ?? '')));
+
+    if ($sync_with === '') {
+      return;
+    }
+
+    if (!preg_match(VvjsConstants::DEEPLINK_IDENTIFIER_PATTERN, $sync_with)) {
+      $form_state->setError($element, $this->t('Sync With must be the URL Identifier of another slideshow, for example "captions".'));
+      return;
+    }
+
+    $identifier = (string) ($deeplink_values['deeplink_identifier'] ?? '');
+    if (!empty($deeplink_values['enable_deeplink']) && $sync_with === $identifier) {
+      $form_state->setError($element, $this->t('A slideshow cannot sync with itself.'));
+      return;
+    }
+
+    $form_state->setValue(['style_options', 'deeplink_section', 'sync_with'], $sync_with);
   }
 
   /**
@@ -843,7 +1273,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     if ($navigation === self::NAV_NONE) {
       $form_state->setError(
         $element,
-        $this->t('Deep Linking requires Slide Indicators (Dots or Numbers) to be enabled. Please set "Slide Indicators (Bottom Navigation Dots/Numbers)" to Dots or Numbers, or disable Deep Linking.')
+        $this->t('Deep Linking requires Slide Indicators (Dots, Numbers or Thumbnails) to be enabled. Please set "Slide Indicators (Bottom Navigation Dots/Numbers)" to Dots, Numbers or Thumbnails, or disable Deep Linking.')
       );
       return;
     }
@@ -940,9 +1370,29 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       self::NAV_NONE => $this->t('None'),
       self::NAV_DOTS => $this->t('Dots'),
       self::NAV_NUMBERS => $this->t('Numbers'),
+      self::NAV_THUMBNAILS => $this->t('Thumbnails'),
     ];
   }
 
+  /**
+   * Get the view's fields for the select list.
+   *
+   * @param string|\Stringable $empty_label
+   *   Label of the option used when no field is selected.
+   *
+   * @return array
+   *   Array of field labels keyed by field ID, after the empty option.
+   */
+  protected function getFieldOptions(string|\Stringable $empty_label): array {
+    $options = ['' => $empty_label];
+
+    if ($this->usesFields()) {
+      $options += $this->view->display_handler->getFieldLabels();
+    }
+
+    return $options;
+  }
+
   /**
    * Get overlay position options for the select list.
    *
@@ -1020,6 +1470,7 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     $hero_values = $values['style_options']['hero_slideshow_section'] ?? [];
     $timing_values = $values['style_options']['timing_section'] ?? [];
     $display_values = $values['style_options']['display_section'] ?? [];
+    $animation_values = $values['style_options']['animation_section'] ?? [];
 
     if (isset($hero_values['layout']['max_width'])) {
       $max_width = (int) $hero_values['layout']['max_width'];
@@ -1073,6 +1524,9 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       if (!empty($display_values['show_play_pause'])) {
         $errors[] = $this->t('Play/pause button requires auto-advance timing to be enabled.');
       }
+      if (!empty($animation_values['ken_burns'])) {
+        $errors[] = $this->t('Ken Burns effect requires auto-advance timing to be enabled.');
+      }
     }
 
     return $errors;
@@ -1123,23 +1577,49 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       $flattened['available_breakpoints'] = $values['responsive_section']['available_breakpoints'] ?? self::BREAKPOINT_576;
     }
 
+    if (isset($values['carousel_section'])) {
+      $carousel = $values['carousel_section'];
+      $flattened['slides_per_view'] = (int) ($carousel['slides_per_view'] ?? VvjsConstants::SLIDES_PER_VIEW_DEFAULT);
+      $flattened['slides_per_view_responsive'] = array_filter(
+        array_map('intval', $carousel['slides_per_view_responsive'] ?? []),
+        static fn(int $count): bool => $count > 0
+      );
+      $flattened['slide_by'] = $carousel['slide_by'] ?? VvjsConstants::SLIDE_BY_SLIDE;
+    }
+
+    if (isset($values['breakpoint_section'])) {
+      $flattened['breakpoint_overrides'] = $this->cleanBreakpointOverrides($values['breakpoint_section']['breakpoint_overrides'] ?? []);
+    }
+
     if (isset($values['deeplink_section'])) {
       $flattened['enable_deeplink'] = $values['deeplink_section']['enable_deeplink'] ?? FALSE;
       $flattened['deeplink_identifier'] = $values['deeplink_section']['deeplink_identifier'] ?? '';
+      $flattened['deeplink_slug_field'] = $values['deeplink_section']['deeplink_slug_field'] ?? '';
+      $flattened['deeplink_history'] = $values['deeplink_section']['deeplink_history'] ?? FALSE;
+      $flattened['sync_with'] = $values['deeplink_section']['sync_with'] ?? '';
+      $flattened['sync_mapping'] = $values['deeplink_section']['sync_mapping'] ?? VvjsConstants::SYNC_MAPPING_INDEX;
     }
 
     if (isset($values['timing_section'])) {
       $flattened['time_in_seconds'] = $values['timing_section']['time_in_seconds'] ?? self::TIMING_DEFAULT;
+      $flattened['slide_duration_field'] = $values['timing_section']['slide_duration_field'] ?? '';
     }
 
     if (isset($values['navigation_section'])) {
+      $flattened['orientation'] = $values['navigation_section']['orientation'] ?? VvjsConstants::ORIENTATION_HORIZONTAL;
       $flattened['arrows'] = $values['navigation_section']['arrows'] ?? self::ARROWS_TOP;
       $flattened['navigation'] = $values['navigation_section']['navigation'] ?? self::NAV_DOTS;
+      $flattened['thumbnail_field'] = $flattened['navigation'] === self::NAV_THUMBNAILS
+        ? ($values['navigation_section']['thumbnail_field'] ?? '')
+        : '';
     }
 
     if (isset($values['animation_section'])) {
       $animation = $values['animation_section']['animation'] ?? self::ANIMATION_BOTTOM;
       $flattened['animation'] = $animation;
+      $flattened['ken_burns'] = $values['animation_section']['ken_burns'] ?? FALSE;
+      $flattened['ken_burns_direction'] = $values['animation_section']['ken_burns_direction'] ?? VvjsConstants::KEN_BURNS_RANDOM;
+      $flattened['ken_burns_zoom'] = (int) ($values['animation_section']['ken_burns_zoom'] ?? VvjsConstants::KEN_BURNS_ZOOM_DEFAULT);
 
       // Only preserve transition values when animation is "none".
       if ($animation === self::ANIMATION_NONE) {
@@ -1157,20 +1637,31 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       $display = $values['display_section'];
       $flattened['show_total_slides'] = $display['show_total_slides'] ?? FALSE;
       $flattened['show_slide_progress'] = $display['show_slide_progress'] ?? FALSE;
+      $flattened['progress_style'] = $display['progress_style'] ?? VvjsConstants::PROGRESS_STYLE_INDICATOR;
       $flattened['show_play_pause'] = $display['show_play_pause'] ?? TRUE;
     }
 
     if (isset($values['behavior_section'])) {
       $behavior = $values['behavior_section'];
       $flattened['pause_on_hover'] = $behavior['pause_on_hover'] ?? TRUE;
+      $flattened['stop_on_interaction'] = $behavior['stop_on_interaction'] ?? FALSE;
       $flattened['enable_swipe'] = $behavior['enable_swipe'] ?? TRUE;
       $flattened['enable_keyboard'] = $behavior['enable_keyboard'] ?? TRUE;
+      $flattened['keyboard_primary'] = $behavior['keyboard_primary'] ?? FALSE;
       $flattened['enable_looping'] = $behavior['enable_looping'] ?? TRUE;
       $flattened['start_index'] = (int) ($behavior['start_index'] ?? 1);
+      $flattened['video_autoplay'] = $behavior['video_autoplay'] ?? TRUE;
+      $flattened['video_wait_for_end'] = $behavior['video_wait_for_end'] ?? FALSE;
+    }
+
+    if (isset($values['accessibility_section'])) {
+      $flattened['slide_title_field'] = $values['accessibility_section']['slide_title_field'] ?? '';
+      $flattened['announcement_template'] = trim((string) ($values['accessibility_section']['announcement_template'] ?? ''));
     }
 
     if (isset($values['advanced_section'])) {
       $flattened['enable_css'] = $values['advanced_section']['enable_css'] ?? TRUE;
+      $flattened['lazy_load_images'] = $values['advanced_section']['lazy_load_images'] ?? FALSE;
     }
 
     $flattened['unique_id'] = $this->options['unique_id'] ?? $this->generateUniqueId();
@@ -1178,6 +1669,44 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
     return $flattened;
   }
 
+  /**
+   * Remove the settings a breakpoint leaves unchanged.
+   *
+   * @param array $overrides
+   *   Submitted override values keyed by breakpoint.
+   *
+   * @return array
+   *   Overrides keyed by breakpoint, without empty breakpoints.
+   */
+  protected function cleanBreakpointOverrides(array $overrides): array {
+    $cleaned = [];
+
+    foreach ($overrides as $breakpoint => $values) {
+      $override = [];
+
+      foreach (['arrows', 'transition_type'] as $key) {
+        if (($values[$key] ?? '') !== '') {
+          $override[$key] = $values[$key];
+        }
+      }
+      if (($values['time_in_seconds'] ?? '') !== '') {
+        $override['time_in_seconds'] = (int) $values['time_in_seconds'];
+      }
+      if (($values['enable_swipe'] ?? '') !== '') {
+        $override['enable_swipe'] = (bool) $values['enable_swipe'];
+      }
+      if ((int) ($values['min_height'] ?? 0) > 0) {
+        $override['min_height'] = (int) $values['min_height'];
+      }
+
+      if ($override) {
+        $cleaned[$breakpoint] = $override;
+      }
+    }
+
+    return $cleaned;
+  }
+
   /**
    * Generates a unique numeric ID for the view display.
    *
@@ -1256,15 +1785,63 @@ class ViewsVanillaJavascriptSlideshow extends StylePluginBase {
       $libraries[] = 'vvjs/vvjs-style';
     }
 
-    // Add transitions library if crossfade is enabled.
-    $transitionType = $this->options['transition_type'] ?? VvjsConstants::TRANSITION_INSTANT;
-    if (str_starts_with($transitionType, 'crossfade')) {
-      $libraries[] = 'vvjs/vvjs-transitions';
+    if ($this->isCarousel()) {
+      $libraries[] = 'vvjs/vvjs-carousel';
+    }
+
+    if ($this->isVertical()) {
+      $libraries[] = 'vvjs/vvjs-vertical';
+    }
+
+    if (!empty($this->options['ken_burns']) && !$this->isCarousel()) {
+      $libraries[] = 'vvjs/vvjs-ken-burns';
+    }
+
+    if (($this->options['navigation'] ?? self::NAV_DOTS) === self::NAV_THUMBNAILS) {
+      $libraries[] = 'vvjs/vvjs-thumbnails';
+    }
+
+    // Add transitions library if crossfade or slide is enabled, also when
+    // only some breakpoints use them.
+    $transitionTypes = array_merge(
+      [$this->options['transition_type'] ?? VvjsConstants::TRANSITION_INSTANT],
+      array_column($this->options['breakpoint_overrides'] ?? [], 'transition_type')
+    );
+    foreach ($transitionTypes as $transitionType) {
+      if (str_starts_with($transitionType, 'crossfade') || $transitionType === VvjsConstants::TRANSITION_SLIDE) {
+        $libraries[] = 'vvjs/vvjs-transitions';
+        break;
+      }
     }
 
     return $libraries;
   }
 
+  /**
+   * Check whether more than one slide is visible at any breakpoint.
+   *
+   * @return bool
+   *   TRUE when the slideshow renders as a multi-slide carousel.
+   */
+  public function isCarousel(): bool {
+    $counts = array_merge(
+      [(int) ($this->options['slides_per_view'] ?? VvjsConstants::SLIDES_PER_VIEW_DEFAULT)],
+      array_map('intval', $this->options['slides_per_view_responsive'] ?? [])
+    );
+
+    return max($counts) > 1;
+  }
+
+  /**
+   * Check whether slides move vertically.
+   *
+   * @return bool
+   *   TRUE for the vertical orientation.
+   */
+  public function isVertical(): bool {
+    return ($this->options['orientation'] ?? VvjsConstants::ORIENTATION_HORIZONTAL) === VvjsConstants::ORIENTATION_VERTICAL;
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace Drupal\vvjs\Twig;
 
+use Drupal\Component\Utility\Html;
 use Twig\Extension\AbstractExtension;
 use Twig\Markup;
 use Twig\TwigFilter;
@@ -30,6 +31,7 @@ class VVJSTwigExtension extends AbstractExtension {
   public function getFilters(): array {
     return [
       new TwigFilter('safe_html', [$this, 'safeHtml'], ['is_safe' => ['html']]),
+      new TwigFilter('vvjs_defer_images', [$this, 'deferImages'], ['is_safe' => ['html']]),
     ];
   }
 
@@ -51,4 +53,60 @@ class VVJSTwigExtension extends AbstractExtension {
     return new Markup($decoded_string, 'UTF-8');
   }
 
+  /**
+   * Defers loading of images and media sources in rendered slide markup.
+   *
+   * Moves the src and srcset attributes of img and source tags to
+   * data-vvjs-src and data-vvjs-srcset, so the browser does not fetch them
+   * until the slideshow's lazy load module restores them. A noscript copy of
+   * the original image, picture or media element keeps the content visible
+   * when JavaScript is disabled.
+   *
+   * @param string|\Stringable $html
+   *   Slide markup already rendered by Drupal's rendering system.
+   *
+   * @return \Twig\Markup
+   *   The markup with deferred image and media sources.
+   */
+  public function deferImages(string|\Stringable $html): Markup {
+    $html = (string) $html;
+
+    if (!preg_match('/<(?:img|source)\b/i', $html)) {
+      return new Markup($html, 'UTF-8');
+    }
+
+    $document = Html::load($html);
+    $xpath = new \DOMXPath($document);
+
+    $elements = [];
+    $fallbacks = new \SplObjectStorage();
+    $query = '//*[self::img or self::source][@src or @srcset][not(ancestor::noscript)]';
+
+    foreach ($xpath->query($query) as $element) {
+      $elements[] = $element;
+
+      // Sources only work inside their picture, video or audio element, so
+      // the fallback copies the whole element; the closest one comes last.
+      $parents = $xpath->query('ancestor::picture | ancestor::video | ancestor::audio', $element);
+      $fallbacks->attach($parents->length ? $parents->item($parents->length - 1) : $element);
+    }
+
+    foreach ($fallbacks as $fallback) {
+      $noscript = $document->createElement('noscript');
+      $noscript->appendChild($fallback->cloneNode(TRUE));
+      $fallback->parentNode->insertBefore($noscript, $fallback->nextSibling);
+    }
+
+    foreach ($elements as $element) {
+      foreach (['src', 'srcset'] as $attribute) {
+        if ($element->hasAttribute($attribute)) {
+          $element->setAttribute('data-vvjs-' . $attribute, $element->getAttribute($attribute));
+          $element->removeAttribute($attribute);
+        }
+      }
+    }
+
+    return new Markup(Html::serialize($document), 'UTF-8');
+  }
+
 }
@@ -39,6 +39,11 @@ final class VvjsConstants {
    */
   public const DEEPLINK_IDENTIFIER_MAX_LENGTH = 20;
 
+  /**
+   * Maximum length for the slide name in deep links.
+   */
+  public const DEEPLINK_SLUG_MAX_LENGTH = 64;
+
   /**
    * Regular expression pattern for deep link identifier validation.
    */
@@ -70,6 +75,15 @@ final class VvjsConstants {
     'max_content_width' => 'max-content-width',
     'max_width' => 'max-width',
     'start_index' => 'start-index',
+    'slides_per_view' => 'slides-per-view',
+    'slide_by' => 'slide-by',
+    'orientation' => 'orientation',
+    'deeplink_history' => 'deeplink-history',
+    'sync_with' => 'sync-with',
+    'sync_mapping' => 'sync-mapping',
+    'progress_style' => 'progress-style',
+    'ken_burns_direction' => 'ken-burns',
+    'ken_burns_zoom' => 'ken-burns-zoom',
   ];
 
   /**
@@ -84,9 +98,14 @@ final class VvjsConstants {
     'hero_slideshow' => 'hero-slideshow',
     'enable_css' => 'enable-css',
     'pause_on_hover' => 'pause-on-hover',
+    'stop_on_interaction' => 'stop-on-interaction',
     'enable_swipe' => 'enable-swipe',
     'enable_keyboard' => 'enable-keyboard',
+    'keyboard_primary' => 'keyboard-primary',
     'enable_looping' => 'enable-looping',
+    'lazy_load_images' => 'lazy-load',
+    'video_autoplay' => 'video-autoplay',
+    'video_wait_for_end' => 'video-wait-for-end',
   ];
 
   /**
@@ -174,6 +193,7 @@ final class VvjsConstants {
   public const TRANSITION_CROSSFADE_CLASSIC = 'crossfade-classic';
   public const TRANSITION_CROSSFADE_STAGED = 'crossfade-staged';
   public const TRANSITION_CROSSFADE_DYNAMIC = 'crossfade-dynamic';
+  public const TRANSITION_SLIDE = 'slide';
 
   /**
    * Transition duration constraints (milliseconds).
@@ -182,6 +202,55 @@ final class VvjsConstants {
   public const TRANSITION_DURATION_MAX = 2000;
   public const TRANSITION_DURATION_DEFAULT = 600;
 
+  /**
+   * Carousel mode constraints (slides visible at once).
+   */
+  public const SLIDES_PER_VIEW_MIN = 1;
+  public const SLIDES_PER_VIEW_MAX = 12;
+  public const SLIDES_PER_VIEW_DEFAULT = 1;
+
+  /**
+   * Carousel step constants (how far next/previous move).
+   */
+  public const SLIDE_BY_SLIDE = 'slide';
+  public const SLIDE_BY_PAGE = 'page';
+
+  /**
+   * Orientation constants (direction slides move in).
+   */
+  public const ORIENTATION_HORIZONTAL = 'horizontal';
+  public const ORIENTATION_VERTICAL = 'vertical';
+
+  /**
+   * Sync mapping constants (how slide indexes of linked slideshows match).
+   */
+  public const SYNC_MAPPING_INDEX = 'index';
+  public const SYNC_MAPPING_PROPORTIONAL = 'proportional';
+
+  /**
+   * Ken Burns pan directions (the way the image drifts).
+   */
+  public const KEN_BURNS_RANDOM = 'random';
+  public const KEN_BURNS_ZOOM = 'zoom';
+  public const KEN_BURNS_LEFT = 'left';
+  public const KEN_BURNS_RIGHT = 'right';
+  public const KEN_BURNS_UP = 'up';
+  public const KEN_BURNS_DOWN = 'down';
+
+  /**
+   * Slide progress styles.
+   */
+  public const PROGRESS_STYLE_INDICATOR = 'indicator';
+  public const PROGRESS_STYLE_PLAY_BUTTON = 'play-button';
+  public const PROGRESS_STYLE_DOTS = 'dots';
+
+  /**
+   * Ken Burns zoom constraints (percent the image grows).
+   */
+  public const KEN_BURNS_ZOOM_MIN = 5;
+  public const KEN_BURNS_ZOOM_MAX = 50;
+  public const KEN_BURNS_ZOOM_DEFAULT = 20;
+
   /**
    * Private constructor to prevent instantiation.
    *